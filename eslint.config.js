@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    // Tests run in Node, e.g. with a local HTTP server
+    files: ['**/*.test.js'],
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
 ]
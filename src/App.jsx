@@ -1,102 +1,198 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 
 //Component
 import Modal from './components/Modal/Modal.jsx';
 import ImageCropper from './components/ImageCropper/ImageCropper.jsx';
 import FileUpload from './components/FileUpload/FileUpload.jsx';
 
+//utils
+import { ASPECT_RATIO_PRESETS } from './utils/imageCropperUtils.js';
+import { cropImageFile } from './utils/cropRenderer.js';
+
+// Shared by the cropper and by "Apply same crop to all remaining", so batch crops match the editor
+const CROPPER_OPTIONS = {
+    width: 400,
+    height: 300,
+    output: 'source',
+    outputQuality: 0.9,
+};
+
+const MAX_FILES = 10;
+
 const App = () => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [croppedImage, setCroppedImage] = useState(null);
+    const [croppedFile, setCroppedFile] = useState(null);
+    const [cropData, setCropData] = useState(null); // Latest onChange payload, replayed by "apply to all"
     const [imageToCrop, setImageToCrop] = useState(null);
     const [selectedFiles, setSelectedFiles] = useState([]); // Track files
     const [editFileIndex, setEditFileIndex] = useState(null); // Track index of file being edited
     const [tempFile, setTempFile] = useState(null); // Track file being uploaded or edited
+    const [croppedFiles, setCroppedFiles] = useState([]); // Files produced by the cropper
+    const [cropQueue, setCropQueue] = useState([]); // Files waiting for the cropper, in selection order
+    const [queueTotal, setQueueTotal] = useState(0); // Size of the current batch, for "2 of 5"
+    const [hasCropEdits, setHasCropEdits] = useState(false); // Whether the open crop has unsaved edits
+
+    // New files waiting for the cropper count towards maxFiles before they are saved
+    const pendingCount = cropQueue.length + (tempFile && editFileIndex === null ? 1 : 0);
+
+    // Revoke each crop source URL once it is replaced or the app unmounts
+    useEffect(() => {
+        return () => {
+            if (imageToCrop) URL.revokeObjectURL(imageToCrop);
+        };
+    }, [imageToCrop]);
+
+    // Show a file in the cropper; index is set when re-editing a file already in the list
+    const openEditor = (file, index = null) => {
+        setImageToCrop(URL.createObjectURL(file));
+        setTempFile(file);
+        setEditFileIndex(index);
+        setCroppedImage(null);
+        setCroppedFile(null);
+        setCropData(null);
+        setHasCropEdits(false);
+        setIsModalOpen(true);
+    };
+
+    // Close modal and clean up; files still queued are dropped
+    const closeEditor = () => {
+        setIsModalOpen(false);
+        setImageToCrop(null);
+        setCroppedImage(null);
+        setCroppedFile(null);
+        setCropData(null);
+        setHasCropEdits(false);
+        setTempFile(null);
+        setEditFileIndex(null);
+        setCropQueue([]);
+        setQueueTotal(0);
+    };
+
+    // Put a finished file in the list: at index when re-editing, otherwise appended in queue order.
+    // Functional updates, since "apply to all" saves several files before the next render.
+    const saveFile = (file, cropped, index = null) => {
+        setSelectedFiles((prev) => (
+            index !== null ? prev.map((item, itemIndex) => (itemIndex === index ? file : item)) : [...prev, file]
+        ));
+        if (cropped) setCroppedFiles((prev) => [...prev, file]);
+    };
 
-    // Handle new file uploads
+    const openNextOrClose = () => {
+        if (cropQueue.length) {
+            const [nextFile, ...rest] = cropQueue;
+            setCropQueue(rest);
+            openEditor(nextFile);
+        } else {
+            closeEditor();
+        }
+    };
+
+    // Handle new file uploads and removals from FileUpload
     const handleFilesChange = (files) => {
-        // Do not update selectedFiles immediately; wait for cropping
-        const latestFile = files[files.length - 1];
-        if (latestFile && !tempFile) {
-            const imageUrl = URL.createObjectURL(latestFile);
-            setImageToCrop(imageUrl);
-            setTempFile(latestFile); // Store the file temporarily
-            setIsModalOpen(true); // Open modal
+        // Do not update selectedFiles with new files immediately; they go through the crop queue first
+        const newFiles = files.filter((file) => !selectedFiles.includes(file));
+        if (!newFiles.length) {
+            setSelectedFiles(files);
+            setCroppedFiles((prev) => prev.filter((file) => files.includes(file)));
+            return;
+        }
+
+        // Saved and queued files together stay within the limit
+        if (selectedFiles.length + pendingCount + newFiles.length > MAX_FILES) return;
+
+        // Files added while the cropper is open join the end of the current batch
+        if (tempFile) {
+            setCropQueue((prev) => [...prev, ...newFiles]);
+            setQueueTotal((prev) => prev + newFiles.length);
+            return;
         }
+
+        const [firstFile, ...rest] = newFiles;
+        setCropQueue(rest);
+        setQueueTotal(newFiles.length);
+        openEditor(firstFile);
     };
 
     // Handle edit button click from FileUpload
     const handleEditFile = (file, index) => {
-        const imageUrl = URL.createObjectURL(file);
-        setImageToCrop(imageUrl);
-        setEditFileIndex(index); // Track index of file being edited
-        setTempFile(file); // Store the file being edited
-        setIsModalOpen(true); // Open modal
+        if (tempFile) return;
+        setCropQueue([]);
+        setQueueTotal(1);
+        openEditor(file, index);
     };
 
     // Handle crop changes from ImageCropper
     const handleCropChange = (data) => {
         setCroppedImage(data.croppedImage);
+        setCroppedFile(data.croppedFile);
+        setCropData(data);
         console.log("Cropped Data:", data);
     };
 
-    // Handle modal save
+    // Save & next: keep the cropped file and move on to the next queued one
     const handleSubmit = async () => {
-        if (croppedImage && tempFile) {
-            // Convert base64 cropped image to File object
-            const response = await fetch(croppedImage);
-            const blob = await response.blob();
-            const fileName = tempFile.name;
-            const croppedFile = new File([blob], fileName, { type: 'image/png' });
-
-            // Update file list
-            let updatedFiles = [...selectedFiles];
-            if (editFileIndex !== null) {
-                // Replace the edited file at editFileIndex
-                updatedFiles[editFileIndex] = croppedFile;
-            } else {
-                // Add new cropped file for initial upload
-                updatedFiles = [...updatedFiles, croppedFile];
-            }
-            setSelectedFiles(updatedFiles);
-        } else {
-            console.error('Error: No cropped image or temp file available.');
+        if (!croppedFile || !tempFile) {
+            // Shown inline by the modal
+            throw new Error('The cropped image is not ready yet. Please try again in a moment.');
         }
+        saveFile(croppedFile, true, editFileIndex);
+        openNextOrClose();
+    };
 
-        // Close modal and clean up
-        setIsModalOpen(false);
-        if (imageToCrop) {
-            URL.revokeObjectURL(imageToCrop);
+    // Skip: keep the file as it is, uncropped, and move on
+    const handleSkip = () => {
+        if (editFileIndex === null && tempFile) {
+            saveFile(tempFile, false);
         }
-        setImageToCrop(null);
-        setCroppedImage(null);
-        setTempFile(null);
-        setEditFileIndex(null);
+        openNextOrClose();
     };
 
-    // Handle modal close
-    const handleCloseModal = () => {
-        setIsModalOpen(false);
-        if (imageToCrop) {
-            URL.revokeObjectURL(imageToCrop);
+    // Save the current crop, then replay it on every queued file without opening them.
+    // The modal stays busy until this resolves.
+    const handleApplyToRemaining = async () => {
+        if (!croppedFile || !cropData) return;
+        saveFile(croppedFile, true, editFileIndex);
+
+        let remaining = cropQueue;
+        while (remaining.length) {
+            const [file, ...rest] = remaining;
+            try {
+                saveFile(await cropImageFile(file, cropData, CROPPER_OPTIONS), true);
+            } catch (error) {
+                // Keep the original rather than losing it from the batch
+                console.error('Error: Could not crop', file.name, error);
+                saveFile(file, false);
+            }
+            remaining = rest;
+            setCropQueue(rest);
         }
-        setImageToCrop(null);
-        setCroppedImage(null);
-        setTempFile(null);
-        setEditFileIndex(null);
+
+        closeEditor();
+    };
+
+    // Handle modal close; the modal asks before discarding edits or queued files
+    const handleCloseModal = () => {
+        closeEditor();
     };
 
+    const queuePosition = queueTotal - cropQueue.length;
+    // A re-edited file replaces its original, which then drops out of the cropped list
+    const croppedSelectedFiles = croppedFiles.filter((file) => selectedFiles.includes(file));
+
     return (
         <div className="app-container">
             <FileUpload
                 accept="image/*"
                 allowedTypes={['image/jpeg', 'image/png']}
-                maxFiles={10}
+                maxFiles={MAX_FILES}
+                pendingCount={pendingCount}
                 onFilesChange={handleFilesChange}
                 onEditFile={handleEditFile}
-                dropZoneText="Click to upload image"
+                dropZoneText="Click, drop or paste an image"
                 subText="JPG or PNG only"
                 files={selectedFiles}
+                croppedFiles={croppedSelectedFiles}
             />
 
             <Modal
@@ -105,16 +201,38 @@ const App = () => {
                 onClose={handleCloseModal}
                 onSubmit={handleSubmit}
                 showFooter={true}
-                submitText="Save"
+                submitText={cropQueue.length ? 'Save & next' : 'Save'}
                 cancelText="Cancel"
                 showCloseIcon={true}
+                confirmOnClose={true}
+                isDirty={hasCropEdits || cropQueue.length > 0}
+                discardMessage={cropQueue.length
+                    ? `Your crop and the ${cropQueue.length} image(s) still waiting will not be added.`
+                    : 'Your crop will be lost.'}
+                footerActions={queueTotal > 1 ? [
+                    { text: 'Skip', variant: 'secondary', onClick: handleSkip },
+                    {
+                        text: 'Apply same crop to all remaining',
+                        variant: 'secondary',
+                        onClick: handleApplyToRemaining,
+                        disabled: !cropQueue.length || !cropData,
+                    },
+                ] : []}
             >
+                {queueTotal > 1 && (
+                    <div aria-live="polite" style={{ marginBottom: '0.5rem' }}>
+                        {queuePosition} of {queueTotal}
+                    </div>
+                )}
                 {imageToCrop && (
                     <ImageCropper
-                        width={400}
-                        height={300}
-                        data={{ image: imageToCrop }}
+                        key={imageToCrop}
+                        {...CROPPER_OPTIONS}
+                        aspectRatio={ASPECT_RATIO_PRESETS}
+                        initialCrop="auto"
+                        data={{ image: imageToCrop, type: tempFile?.type, name: tempFile?.name }}
                         onChange={handleCropChange}
+                        onHistoryChange={({ canUndo }) => setHasCropEdits(canUndo)}
                     />
                 )}
             </Modal>
@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+//utils
+import { formatFileSize, getImageInfo } from '../../utils/fileUploadUtils.js';
+
+//Icons
+import { FileImage } from 'lucide-react';
+
+// Thumbnails are drawn at twice their displayed size to stay sharp on high-density screens
+const THUMBNAIL_SIZE = 48;
+
+/**
+ * @prop {File} file
+ *     The file to describe.
+ *
+ * @prop {boolean} cropped
+ *     Whether to flag the file as already cropped.
+ */
+const FileDetails = ({ file, cropped = false }) => {
+    // Info is stored with the file it belongs to, so a replaced file never shows a stale thumbnail
+    const [imageInfo, setImageInfo] = useState(null);
+    const containerRef = useRef(null);
+    const isImage = file.type?.startsWith('image/');
+    const info = imageInfo?.file === file ? imageInfo : null;
+
+    // Decode the image only once its row scrolls near the viewport
+    useEffect(() => {
+        if (!isImage) return;
+        let cancelled = false;
+
+        const load = () => {
+            getImageInfo(file, THUMBNAIL_SIZE * 2)
+                .then((result) => !cancelled && setImageInfo({ file, ...result }))
+                .catch(() => {}); // Undecodable files keep the generic icon
+        };
+
+        if (typeof IntersectionObserver === 'undefined') {
+            load();
+            return () => {
+                cancelled = true;
+            };
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+                observer.disconnect();
+                load();
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(containerRef.current);
+
+        return () => {
+            cancelled = true;
+            observer.disconnect();
+        };
+    }, [file, isImage]);
+
+    return (
+        <div ref={containerRef} className="file-details">
+            {info ? (
+                <img className="file-thumbnail" src={info.thumbnail} alt="" />
+            ) : (
+                <FileImage size={35} className="file-icon" />
+            )}
+            <div className="file-info">
+                <span className="file-name">{file.name}</span>
+                <span className="file-meta">
+                    {info && `${info.width} × ${info.height} px · `}
+                    {formatFileSize(file.size)}
+                    {cropped && <span className="file-cropped-badge">Cropped</span>}
+                </span>
+            </div>
+        </div>
+    );
+};
+
+export default FileDetails;
@@ -1,35 +1,116 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+
+//utils
+import { getDraggedFileTypes, getDroppedFiles, getPastedFiles, matchesAccept } from '../../utils/fileUploadUtils.js';
+import { resolveUploader } from '../../utils/uploaders.js';
+import { createUploadQueue } from '../../utils/uploadQueue.js';
+
+//Components
+import FileDetails from './FileDetails.jsx';
+import UploadStatus from './UploadStatus.jsx';
 
 //CSS
 import './FileUpload.scss';
 
 //Icons
-import { CloudUpload, CloudDownload, FileImage, Pencil, X } from 'lucide-react';
+import { CloudUpload, CloudDownload, Pencil, X } from 'lucide-react';
 
 const FileUpload = ({
                         accept = '*/*',
                         multiple = true,
                         maxFiles = 10,
+                        pendingCount = 0, // Files the parent holds before adding them, e.g. waiting to be cropped
                         maxFileSize = 10 * 1024 * 1024, // 10 MB
                         allowedTypes = [],
                         customValidator = null,
                         onFilesChange = () => {},
                         onEditFile = () => {},
                         dropZoneText = 'Click to upload',
+                        dragActiveText = 'Drop to upload',
+                        pasteEnabled = true,
                         subText = 'Only Images (.jpg or .png)',
                         disabled = false,
                         files = [],
+                        croppedFiles = [],
+                        uploader = null, // Adapter function, or createHttpUploader options such as { url, chunkSize }
+                        uploadConcurrency = 3,
+                        uploadRetries = 3,
+                        uploadRetryDelay = 1000, // ms before the first retry, doubling after each failure
+                        onUploadEvent = () => {}, // { type, task } for every upload status change
                     }) => {
     const [selectedFiles, setSelectedFiles] = useState(files);
     const [error, setError] = useState('');
+    // null, or 'active' / 'reject' while files are dragged over the drop zone
+    const [dragState, setDragState] = useState(null);
+    const [dragRejection, setDragRejection] = useState('');
+    // dragenter/dragleave also fire for child elements, so count them to know when the drag really left
+    const dragDepthRef = useRef(0);
+    const [uploadQueue, setUploadQueue] = useState(null);
+    const [uploadTasks, setUploadTasks] = useState(new Map()); // File -> latest upload task snapshot
+    const uploadIdsRef = useRef(new Map()); // File -> upload queue task id
 
     // Sync local state with parent files prop
     useEffect(() => {
         setSelectedFiles(files);
     }, [files]);
 
+    // The queue reads the latest adapter and event handler, so inline props don't restart uploads
+    const uploaderRef = useRef(null);
+    uploaderRef.current = resolveUploader(uploader);
+    const onUploadEventRef = useRef(onUploadEvent);
+    onUploadEventRef.current = onUploadEvent;
+    const hasUploader = Boolean(uploader);
+
+    useEffect(() => {
+        if (!hasUploader) return;
+
+        const queue = createUploadQueue({
+            upload: (file, options) => uploaderRef.current(file, options),
+            concurrency: uploadConcurrency,
+            retries: uploadRetries,
+            retryDelay: uploadRetryDelay,
+            onEvent: (event) => {
+                setUploadTasks((prev) => {
+                    const next = new Map(prev);
+                    if (event.type === 'remove') {
+                        next.delete(event.task.file);
+                    } else {
+                        next.set(event.task.file, event.task);
+                    }
+                    return next;
+                });
+                onUploadEventRef.current(event);
+            },
+        });
+        setUploadQueue(queue);
+
+        const uploadIds = uploadIdsRef.current;
+        return () => {
+            queue.destroy();
+            uploadIds.clear();
+            setUploadQueue(null);
+            setUploadTasks(new Map());
+        };
+    }, [hasUploader, uploadConcurrency, uploadRetries, uploadRetryDelay]);
+
+    // Upload files as they join the list, and stop uploads of files that leave it
+    useEffect(() => {
+        if (!uploadQueue) return;
+        const uploadIds = uploadIdsRef.current;
+        uploadIds.forEach((id, file) => {
+            if (!selectedFiles.includes(file)) {
+                uploadQueue.remove(id);
+                uploadIds.delete(file);
+            }
+        });
+        selectedFiles.forEach((file) => {
+            if (!uploadIds.has(file)) uploadIds.set(file, uploadQueue.add(file));
+        });
+    }, [selectedFiles, uploadQueue]);
+
     const validateFile = (file) => {
-        if (allowedTypes.length && !allowedTypes.includes(file.type)) {
+        // Drops and pastes bypass the input's accept filter, so check it here too
+        if (!matchesAccept(file, accept) || (allowedTypes.length && !allowedTypes.includes(file.type))) {
             return `File type "${file.type}" is not allowed.`;
         }
         if (file.size > maxFileSize) {
@@ -42,12 +123,19 @@ const FileUpload = ({
         return null;
     };
 
-    const handleFileChange = (event) => {
-        const newFiles = Array.from(event.target.files);
+    // Every way of adding files (picker, drop, folder drop, paste) ends up here
+    const addFiles = (newFiles) => {
+        if (disabled || !newFiles.length) return;
+
         const newErrors = [];
         const newValidFiles = [];
 
-        if ((selectedFiles.length + newFiles.length) > maxFiles) {
+        if (!multiple && newFiles.length > 1) {
+            setError('Only one file can be uploaded at a time.');
+            return;
+        }
+
+        if ((selectedFiles.length + pendingCount + newFiles.length) > maxFiles) {
             setError(`You can only upload up to ${maxFiles} files.`);
             return;
         }
@@ -72,6 +160,80 @@ const FileUpload = ({
         onFilesChange(updatedFiles);
     };
 
+    const handleFileChange = (event) => {
+        addFiles(Array.from(event.target.files));
+    };
+
+    // Reason to refuse a drag before it is dropped, from what the browser exposes while dragging
+    const getDragRejection = (dataTransfer) => {
+        const types = getDraggedFileTypes(dataTransfer);
+        if (disabled) return 'Uploading is disabled.';
+        if (!multiple && types.length > 1) return 'Only one file can be uploaded at a time.';
+        if ((selectedFiles.length + pendingCount + types.length) > maxFiles) {
+            return `You can only upload up to ${maxFiles} files.`;
+        }
+        // Folders report no type; their files are validated after the drop
+        const rejectedType = types.find((type) => type && allowedTypes.length && !allowedTypes.includes(type));
+        if (rejectedType) return `File type "${rejectedType}" is not allowed.`;
+        return '';
+    };
+
+    const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const handleDragEnter = (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepthRef.current++;
+        const rejection = getDragRejection(event.dataTransfer);
+        setDragRejection(rejection);
+        setDragState(rejection ? 'reject' : 'active');
+    };
+
+    const handleDragOver = (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = dragState === 'reject' ? 'none' : 'copy';
+    };
+
+    const handleDragLeave = (event) => {
+        if (!isFileDrag(event)) return;
+        dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+        if (!dragDepthRef.current) setDragState(null);
+    };
+
+    const handleDrop = async (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepthRef.current = 0;
+        setDragState(null);
+        if (disabled) return;
+
+        try {
+            addFiles(await getDroppedFiles(event.dataTransfer));
+        } catch {
+            setError('Could not read the dropped files.');
+        }
+    };
+
+    // Paste image data or copied files anywhere on the page, except into text fields
+    const addFilesRef = useRef(addFiles);
+    addFilesRef.current = addFiles;
+    useEffect(() => {
+        if (!pasteEnabled || disabled) return;
+
+        const handlePaste = (event) => {
+            const target = event.target;
+            if (target?.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target?.tagName)) return;
+
+            const pastedFiles = getPastedFiles(event.clipboardData);
+            if (!pastedFiles.length) return;
+            event.preventDefault();
+            addFilesRef.current(pastedFiles);
+        };
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, [pasteEnabled, disabled]);
+
     const handleDownloadFile = (file) => {
         const url = URL.createObjectURL(file);
         const link = document.createElement('a');
@@ -80,7 +242,8 @@ const FileUpload = ({
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        // Revoking right after click() can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     };
 
     const handleEditFile = (file, index) => {
@@ -95,7 +258,13 @@ const FileUpload = ({
 
     return (
         <div className={`file-upload-container ${disabled ? 'disabled' : ''}`}>
-            <div className="file-upload-input">
+            <div
+                className={`file-upload-input ${dragState ? `drag-${dragState}` : ''}`}
+                onDragEnter={handleDragEnter}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+            >
                 <label htmlFor="fileInput">
                     <CloudUpload size={30} />
                 </label>
@@ -108,7 +277,9 @@ const FileUpload = ({
                     onChange={handleFileChange}
                     style={{ display: 'none' }}
                 />
-                <div className="info-text">{dropZoneText}</div>
+                <div className="info-text" aria-live="polite">
+                    {dragState === 'reject' ? dragRejection : dragState === 'active' ? dragActiveText : dropZoneText}
+                </div>
                 <div className="info-text-sub">{subText}</div>
                 {error && <div className="file-upload-error">{error}</div>}
             </div>
@@ -118,10 +289,7 @@ const FileUpload = ({
                     <div>
                         {selectedFiles.map((file, index) => (
                             <div key={index} className="file-uploaded-file-individual">
-                                <div className="file-details">
-                                    <FileImage size={35} className="file-icon" />
-                                    <span>{file.name}</span>
-                                </div>
+                                <FileDetails file={file} cropped={croppedFiles.includes(file)} />
                                 <div className="file-btn">
                                     <button onClick={() => handleDownloadFile(file)} title="Download">
                                         <CloudDownload size={25} />
@@ -133,6 +301,13 @@ const FileUpload = ({
                                         <X size={25} />
                                     </button>
                                 </div>
+                                {uploadTasks.has(file) && (
+                                    <UploadStatus
+                                        task={uploadTasks.get(file)}
+                                        onCancel={() => uploadQueue?.cancel(uploadTasks.get(file).id)}
+                                        onResume={() => uploadQueue?.resume(uploadTasks.get(file).id)}
+                                    />
+                                )}
                             </div>
                         ))}
                     </div>
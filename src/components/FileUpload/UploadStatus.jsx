@@ -0,0 +1,67 @@
+import React from 'react';
+
+//utils
+import { UPLOAD_STATUS } from '../../utils/uploadQueue.js';
+
+//Icons
+import { Ban, RotateCw } from 'lucide-react';
+
+const STATUS_TEXT = {
+    [UPLOAD_STATUS.QUEUED]: 'Waiting to upload',
+    [UPLOAD_STATUS.UPLOADING]: 'Uploading',
+    [UPLOAD_STATUS.RETRYING]: 'Connection problem, retrying',
+    [UPLOAD_STATUS.DONE]: 'Uploaded',
+    [UPLOAD_STATUS.ERROR]: 'Upload failed',
+    [UPLOAD_STATUS.CANCELED]: 'Upload canceled',
+};
+
+/**
+ * @prop {Object} task
+ *     Upload task snapshot from the upload queue: { file, status, progress, error }.
+ *
+ * @prop {function} onCancel
+ *     Called to cancel a waiting, running or retrying upload.
+ *
+ * @prop {function} onResume
+ *     Called to resume a canceled upload or retry a failed one.
+ */
+const UploadStatus = ({ task, onCancel, onResume }) => {
+    const percent = Math.round(task.progress * 100);
+    const isActive = [UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.RETRYING].includes(task.status);
+    const canResume = task.status === UPLOAD_STATUS.CANCELED || task.status === UPLOAD_STATUS.ERROR;
+    const resumeLabel = task.status === UPLOAD_STATUS.ERROR ? 'Retry' : 'Resume';
+
+    return (
+        <div className={`upload-status ${task.status}`}>
+            <progress value={percent} max={100} aria-label={`Upload of ${task.file.name}`} />
+            {/* Only the status is announced; the percentage would be read out on every progress event */}
+            <span className="upload-status-text" aria-live="polite">
+                {STATUS_TEXT[task.status]}
+                {task.status === UPLOAD_STATUS.ERROR && task.error?.message ? `: ${task.error.message}` : ''}
+            </span>
+            {task.status === UPLOAD_STATUS.UPLOADING && <span className="upload-status-percent">{percent}%</span>}
+            {isActive && (
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    title="Cancel upload"
+                    aria-label={`Cancel upload of ${task.file.name}`}
+                >
+                    <Ban size={18} />
+                </button>
+            )}
+            {canResume && (
+                <button
+                    type="button"
+                    onClick={onResume}
+                    title={`${resumeLabel} upload`}
+                    aria-label={`${resumeLabel} upload of ${task.file.name}`}
+                >
+                    <RotateCw size={18} />
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default UploadStatus;
@@ -0,0 +1,64 @@
+import React from 'react';
+
+//utils
+import { ADJUSTMENT_PRESETS } from '../../utils/imageAdjustments.js';
+
+const ADJUSTMENT_SLIDERS = [
+    { key: 'brightness', label: 'Brightness', min: -100, max: 100 },
+    { key: 'contrast', label: 'Contrast', min: -100, max: 100 },
+    { key: 'saturation', label: 'Saturation', min: -100, max: 100 },
+    { key: 'exposure', label: 'Exposure', min: -100, max: 100 },
+    { key: 'warmth', label: 'Warmth', min: -100, max: 100 },
+    { key: 'sharpen', label: 'Sharpen', min: 0, max: 100 },
+];
+
+/**
+ * @prop {string} id
+ *     Id of the panel, referenced by the toggle button's aria-controls.
+ *
+ * @prop {Object} adjustments
+ *     Current adjustment values (see DEFAULT_ADJUSTMENTS in utils/imageAdjustments.js).
+ *
+ * @prop {function} onChange
+ *     Called with the changed values only, e.g. { contrast: 20 }.
+ */
+const AdjustmentsPanel = ({ id, adjustments, onChange }) => {
+    return (
+        <div id={id} className="image-cropper-adjustments" role="group" aria-label="Adjustments">
+            <div className="adjustment-presets">
+                {ADJUSTMENT_PRESETS.map((preset) => {
+                    const isActive = Object.entries(preset.value).every(([key, value]) => adjustments[key] === value);
+                    return (
+                        <button
+                            key={preset.label}
+                            type="button"
+                            className={`aspect-ratio-btn ${isActive ? 'active' : ''}`}
+                            onClick={() => onChange(preset.value)}
+                            aria-pressed={isActive}
+                        >
+                            {preset.label}
+                        </button>
+                    );
+                })}
+            </div>
+            {ADJUSTMENT_SLIDERS.map(({ key, label, min, max }) => (
+                <div key={key} className="adjustment-slider">
+                    <label htmlFor={`${id}-${key}`}>{label}</label>
+                    <input
+                        type="range"
+                        id={`${id}-${key}`}
+                        min={min}
+                        max={max}
+                        step={1}
+                        value={adjustments[key]}
+                        onChange={(e) => onChange({ [key]: parseFloat(e.target.value) })}
+                        onDoubleClick={() => onChange({ [key]: 0 })}
+                    />
+                    <span className="adjustment-value" aria-hidden="true">{adjustments[key]}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AdjustmentsPanel;
@@ -1,24 +1,92 @@
-import React, { useRef, useState, useEffect, useCallback } from 'react';
+import React, {
+    forwardRef,
+    useRef,
+    useState,
+    useEffect,
+    useCallback,
+    useMemo,
+    useId,
+    useImperativeHandle,
+} from 'react';
+
+//hooks
+import useEditHistory from '../../hooks/useEditHistory.js';
+import useImageCropper from '../../hooks/useImageCropper.js';
 
 //utils
 import {
-    calculateCropArea,
-    calculateImageDimensions,
+    drawCropLabel,
+    drawTransformedImage,
     getCanvasAspectRatio,
+    getCropGuideLines,
     getCropHandles,
-    getCropWidthLimits,
+    getDataUrlMimeType,
+    getOutputFileName,
+    resolveOutputMimeType,
+    toAspectRatioPreset,
+    traceCropShape,
 } from '../../utils/imageCropperUtils.js';
+import {
+    getPointerTarget,
+    getTargetCursor,
+    growPixelCropToLimits,
+    toPercentCrop,
+} from '../../utils/cropEngine.js';
+import { suggestCrop } from '../../utils/autoCrop.js';
+import { blobToDataUrl, encodeCanvas } from '../../utils/imageEncoder.js';
+import { renderCrop, renderCropWithVariants } from '../../utils/cropRenderer.js';
+import {
+    canReadPixels,
+    drawLoupe,
+    getDominantEdgeColor,
+    isEyeDropperSupported,
+    pickScreenColor,
+    sampleCanvasColor,
+} from '../../utils/colorSampling.js';
+import {
+    getUprightImageSource,
+    readImageMetadata,
+    resolveMetadataOptions,
+    writeJpegMetadata,
+} from '../../utils/imageMetadata.js';
+import {
+    DEFAULT_ADJUSTMENTS,
+    hasAdjustments,
+    renderAdjustedImage,
+} from '../../utils/imageAdjustments.js';
+
+//Components
+import AdjustmentsPanel from './AdjustmentsPanel.jsx';
 
 //CSS
 import './ImageCropper.scss';
 
 //Icons
-import { ZoomIn, ZoomOut, Pipette } from 'lucide-react';
+import {
+    ZoomIn,
+    ZoomOut,
+    Pipette,
+    RotateCcw,
+    RotateCw,
+    FlipHorizontal2,
+    FlipVertical2,
+    Hand,
+    Shrink,
+    Expand,
+    Undo2,
+    Redo2,
+    RefreshCcw,
+    SlidersHorizontal,
+    WandSparkles,
+} from 'lucide-react';
 
 /**
  * @prop {Object} data
  *     The image data object. Must include an `image` property containing a base64 or image URL string.
- *     Example: { image: 'data:image/png;base64,...' } or { image: 'https://example.com/image.jpg' }
+ *     Optional `type` (MIME type) and `name` (file name) describe the original file and are used
+ *     for the default output format and the name of the emitted File. EXIF orientation and metadata
+ *     are only read from JPEGs, so pass `type` with object and remote URLs.
+ *     Example: { image: 'data:image/png;base64,...' } or { image: blobUrl, type: 'image/jpeg', name: 'photo.jpg' }
  *
  * @prop {number} width
  *     Width of the canvas in pixels. Default is 400.
@@ -30,8 +98,17 @@ import { ZoomIn, ZoomOut, Pipette } from 'lucide-react';
  *     Multiplier for canvas resolution (used for high-DPI rendering). Default is 4.
  *     Example: if width=400 and resolutionScale=4, actual canvas will be 1600px wide.
  *
+ * @prop {number|string|null|Array} aspectRatio
+ *     Aspect ratio (width / height) of the crop box. Defaults to the canvas aspect ratio.
+ *     - number: fixed ratio, e.g. 16 / 9.
+ *     - 'original': the natural ratio of the loaded image.
+ *     - null: free-form cropping, width and height resize independently.
+ *     - Array: list of presets shown as a switcher in the controls. Entries may be any of the
+ *       above, a 'W:H' string, or a { label, value } object. The first entry is selected initially.
+ *       Example: [null, '1:1', '4:3', '16:9', 'original'] (see ASPECT_RATIO_PRESETS in utils)
+ *
  * @prop {Object} cropSettings
- *     Settings to enable/disable and customize crop box behavior and appearance.
+ *     Settings to enable/disable and customize crop box behavior and appearance. Omitted keys use the defaults.
  *     - enabled: {boolean} Whether cropping is enabled (true/false).
  *     - slider: {boolean} Whether to show a crop size slider (true/false).
  *     - cropBoxStrokeColor: {string} Stroke color of the crop box.
@@ -39,90 +116,401 @@ import { ZoomIn, ZoomOut, Pipette } from 'lucide-react';
  *     - handleFillColor: {string} Fill color of resize handles.
  *     - handleStrokeColor: {string} Stroke color of resize handles.
  *     - handleSize: {number} Size of crop handles in pixels.
+ *     - outsideOverlay: {string} How the area outside the crop is shown: 'dim' (default), 'blur' or 'none'.
+ *     - overlayColor: {string} Color laid over the outside area for 'dim'. Default is 'rgba(0, 0, 0, 0.5)'.
+ *     - blurRadius: {number} Blur radius in pixels for 'blur'. Default is 4.
+ *     - guides: {string|Array} Composition guides drawn inside the crop: 'thirds', 'golden', 'center',
+ *       'diagonal' or a list of them. Default is none.
+ *     - guideColor: {string} Color of the guides. Default is 'rgba(255, 255, 255, 0.7)'.
+ *     - guideStrokeWidth: {number} Stroke width of the guides. Default is 2.
+ *     - sizeReadout: {boolean} Whether to show the output size in pixels while dragging. Default is true.
+ *     - snap: {boolean} Whether dragged crop edges snap to the image's edges and center lines. Default is true.
+ *       Holding Alt while dragging turns snapping off.
+ *     - snapThreshold: {number} Snapping distance in canvas pixels. Default is 8.
+ *     - warningColor: {string} Crop box and handle color while the output quality is low. Default is '#E8A33D'.
+ *     - warningUpscale: {number} Upscale factor of the output over the source pixels above which quality
+ *       counts as low. Default is 2.
+ *
+ * @prop {string|Object} output
+ *     Size of the exported crop. Defaults to fitting the crop inside the editor's width x height.
+ *     - 'source': native pixels of the selected region of the original image.
+ *     - { width, height }: fixed size; pass only one side to keep the crop's aspect ratio.
+ *     - { maxWidth, maxHeight }: source pixels, scaled down to fit the box (never upscaled).
+ *
+ * @prop {number} minOutputWidth
+ * @prop {number} minOutputHeight
+ *     Output size a crop must be able to produce without upscaling more than maxUpscale (or at all without
+ *     maxUpscale). Resizing stops at the matching size in source pixels; zooming in can still go below it,
+ *     which the quality report flags.
+ *
+ * @prop {number} maxUpscale
+ *     Largest factor a fixed output size (or the canvas size with a locked aspect ratio) may enlarge the
+ *     crop's source pixels by; resizing stops there. Default is null (no limit).
+ *
+ * @prop {string} outputFormat
+ *     'png', 'jpeg' or 'webp'. Defaults to the input's MIME type (data.type or the data URL prefix),
+ *     falling back to PNG. Formats without alpha are flattened onto the background color.
+ *
+ * @prop {number} outputQuality
+ *     Encoder quality between 0 and 1 for JPEG and WebP. Default is 0.92.
+ *
+ * @prop {boolean} includeBase64
+ *     Whether to also emit the crop as a base64 data URL in `croppedImage`. Default is true.
+ *     Set to false when only the Blob/File is needed to skip the extra encode.
+ *
+ * @prop {Array} variants
+ *     Extra sizes of the same crop, rendered together with the main output, e.g. for srcset:
+ *     [{ name: 'thumb', width: 150 }, { name: '2x', maxWidth: 1600 }, { name: 'og', width: 1200, height: 630,
+ *     format: 'jpeg', quality: 0.8 }]. Sizes work like `output`; both sides with another aspect ratio trim the
+ *     crop around its center. format and quality default to outputFormat and outputQuality. They are drawn
+ *     from one render at source resolution, downscaled in halving steps for quality.
+ *
+ * @prop {boolean|Object} preserveMetadata
+ *     Copies metadata from a JPEG source into JPEG output, which canvas encoding otherwise drops.
+ *     true copies { date, copyright, iccProfile }; pass an object to pick groups, e.g. { gps: true }
+ *     to also keep the location, which is stripped by default. Default is false.
+ *     The source's EXIF orientation is always applied to the pixels, so the output is tagged upright.
+ *
+ * @prop {number} minZoom
+ *     Smallest zoom level. Default is 0.5.
+ *
+ * @prop {number} maxZoom
+ *     Largest zoom level. Default is 3.
+ *
+ * @prop {number} zoomStep
+ *     Zoom change per button click or mouse wheel notch. Default is 0.1.
+ *     The wheel zooms around the cursor; dragging outside the crop box (or anywhere in
+ *     "move image" mode) pans the image under the crop box.
+ *
+ * @prop {string} label
+ *     Accessible name of the crop area. Default is 'Image cropper'.
+ *     The crop area is focusable: arrow keys move the crop box, Shift + arrow keys resize it,
+ *     holding Alt uses larger steps, + / - zoom, and Ctrl+Z / Ctrl+Shift+Z undo and redo.
+ *     Crop changes are announced to screen readers.
+ *
+ * @prop {number} eyedropperRadius
+ *     The Pipette button picks the background color from the image, e.g. for zoomed-out letterboxing. It uses
+ *     the browser's EyeDropper where available; otherwise clicking the canvas samples the preview, with a
+ *     magnifier while hovering and Escape to cancel. The sample averages a square reaching eyedropperRadius
+ *     canvas pixels around the pointer. Default is 2; 0 picks a single pixel.
+ *     The most common color along the image's edges is offered next to it as a suggestion.
+ *
+ * @prop {number} maxStraighten
+ *     Range in degrees of the fine straighten slider (-maxStraighten to +maxStraighten). Default is 45.
+ *     While the image is straightened the crop box is kept inside the rotated image.
+ *
+ * @prop {string} cropShape
+ *     Shape of the crop: 'rect' (default), 'round' (ellipse inscribed in the crop box; a circle
+ *     with a 1:1 aspect ratio) or 'rounded' (rectangle with rounded corners).
+ *     Outside the shape the preview is dimmed and PNG/WebP output is transparent;
+ *     JPEG output fills it with the background color instead.
+ *
+ * @prop {number} cropRadius
+ *     Corner radius in canvas pixels for cropShape 'rounded'. Default is 16.
+ *
+ * @prop {Object} initialAdjustments
+ *     Starting values for the adjustments panel, e.g. the `adjustments` from a previous onChange:
+ *     { brightness, contrast, saturation, exposure, warmth } from -100 to 100,
+ *     { grayscale, sepia, sharpen } from 0 to 100. Adjustments show live and are baked into the output.
+ *
+ * @prop {Object} crop
+ *     Controlled crop box in percent of the canvas: { x, y, width, height }. Use with onCropChange.
+ *     When omitted (or null) the crop is managed internally.
+ *
+ * @prop {function} onCropChange
+ *     Called with the new percentage crop whenever the crop box moves or resizes.
+ *
+ * @prop {Object|string} initialCrop
+ *     Percentage crop used when the cropper first initializes, e.g. a previously saved `crop`.
+ *     'auto' proposes a crop from the content of each image once it loads, like the Auto crop button.
+ *     Defaults to a centered box covering half of the canvas.
+ *
+ * @prop {Object} autoCropOptions
+ *     Tuning for auto crop, which trims uniform borders and looks for edges and detail in the image:
+ *     - skinToneWeight: {number} Extra weight for skin-colored pixels, e.g. 1 for portraits. Default is 0.
+ *     - backgroundTolerance, areaWeight, edgeWeight, centerWeight, minScale: see DEFAULT_AUTO_CROP_OPTIONS
+ *       in utils/autoCrop.js.
+ *
+ * @prop {number} zoom
+ *     Controlled zoom level. Use with onZoomChange.
+ *
+ * @prop {function} onZoomChange
+ *     Called with the new zoom level whenever it changes.
+ *
+ * @prop {function} onHistoryChange
+ *     Called with { canUndo, canRedo } whenever the edit history changes, so a host can render
+ *     its own undo/redo buttons. A whole drag or resize is recorded as one step.
  *
  * @prop {function} onChange
- *     Callback function triggered whenever the crop or zoom changes.
+ *     Callback function triggered when the crop, zoom or any other edit settles, e.g. when a drag ends.
+ *     Live interaction only repaints the preview; encoding happens once the change is complete
+ *     (or at most every `changeThrottle` ms while dragging when that is set).
  *     It receives an object with the following shape:
  *     {
- *         croppedImage: <base64 PNG string>,
+ *         crop: <{ x, y, width, height }> crop box in percent of the canvas,
+ *         croppedImage: <base64 data URL string, or null when includeBase64 is false>,
+ *         croppedBlob: <Blob>,
+ *         croppedFile: <File named after data.name with the extension of the output format>,
+ *         mimeType: <string>,
+ *         cropShape: <string>,
+ *         cropRadius: <number> corner radius in output pixels,
  *         zoomLevel: <number>,
+ *         pan: <{ x, y }> offset of the image center from the canvas center in canvas pixels,
  *         backgroundColor: <string>,
+ *         adjustments: <Object> brightness, contrast, saturation, exposure, warmth, grayscale, sepia, sharpen,
+ *         rotation: <number> 90° step rotation in degrees,
+ *         straighten: <number> fine rotation in degrees,
+ *         flipH, flipV: <boolean>,
+ *         srcX, srcY, srcWidth, srcHeight: <number> crop rectangle in source image pixels, measured on
+ *             the image after rotation and flips, with straighten applied around the image center,
+ *         outputWidth, outputHeight: <number> size of croppedImage,
+ *         variants: <{ [name]: { blob, width, height, mimeType } }> one entry per variant, or null without variants,
+ *         quality: <{ sourceWidth, sourceHeight, outputWidth, outputHeight, upscale, meetsMinimum, isLow }>
+ *             resolution report, e.g. to block saving while isLow (see getCropQuality in utils/cropEngine.js),
  *         ...cropSettings
  *     }
+ *     onChange is optional; use the ref API to produce output only when it is needed.
+ *
+ * @prop {function} onCropComplete
+ *     Called with the same payload as onChange once an interaction ends, never during a drag.
+ *
+ * @prop {number} changeThrottle
+ *     When set, onChange also fires during drags, at most once every changeThrottle milliseconds.
+ *     Default is null (onChange fires only when the change is complete).
+ *
+ * @prop {function} onError
+ *     Called with an Error when the image cannot be loaded, e.g. a broken or revoked URL.
+ *
+ * @ref
+ *     getCroppedBlob(options): Promise<Blob>. options may override output, outputFormat and outputQuality.
+ *     getVariants(variants): Promise of the variants map for the given list, or the variants prop.
+ *     getCropData(): crop, zoom, transform and source rectangle without encoding an image.
+ *     reset(): restores the initial crop, zoom, pan, rotation, flips and background (undoable).
+ *     setCrop(crop): sets the percentage crop box.
+ *     undo(), redo(): step through the edit history; canUndo(), canRedo() report availability.
  */
 
 
-const ImageCropper = ({
+// Delay in ms after the last edit before output is produced
+const CHANGE_SETTLE_DELAY = 100;
+// Delay in ms after the last edit before it becomes an undo step; long enough to merge slider drags
+const HISTORY_SETTLE_DELAY = 500;
+// Longest side in pixels of the adjusted copy used for the live preview
+const ADJUSTED_PREVIEW_MAX_SIZE = 2048;
+// Size in CSS pixels of the eyedropper magnifier, and its magnification of the canvas
+const LOUPE_SIZE = 96;
+const LOUPE_ZOOM = 8;
+
+const DEFAULT_CROP_SETTINGS = {
+    enabled: true,
+    slider: false,
+    cropBoxStrokeColor: '#0072BC',
+    cropBoxStrokeWidth: 4,
+    handleFillColor: '#0072BC',
+    handleStrokeColor: '#0072BC',
+    handleSize: 16,
+    outsideOverlay: 'dim',
+    overlayColor: 'rgba(0, 0, 0, 0.5)',
+    blurRadius: 4,
+    guides: null,
+    guideColor: 'rgba(255, 255, 255, 0.7)',
+    guideStrokeWidth: 2,
+    sizeReadout: true,
+    snap: true,
+    snapThreshold: 8,
+    warningColor: '#E8A33D',
+    warningUpscale: 2,
+};
+
+const ImageCropper = forwardRef(({
                           data = {},
                           width = 400,
                           height = 400,
                           resolutionScale = 4,
-                          cropSettings = {
-                              enabled: true,
-                              slider: false,
-                              cropBoxStrokeColor: '#0072BC',
-                              cropBoxStrokeWidth: 4,
-                              handleFillColor: '#0072BC',
-                              handleStrokeColor: '#0072BC',
-                              handleSize: 16,
-                          },
+                          aspectRatio: aspectRatioProp,
+                          output,
+                          minOutputWidth,
+                          minOutputHeight,
+                          maxUpscale,
+                          outputFormat,
+                          outputQuality = 0.92,
+                          includeBase64 = true,
+                          variants,
+                          preserveMetadata = false,
+                          minZoom = 0.5,
+                          maxZoom = 3,
+                          zoomStep = 0.1,
+                          maxStraighten = 45,
+                          eyedropperRadius = 2,
+                          label = 'Image cropper',
+                          cropSettings: cropSettingsProp,
+                          cropShape = 'rect',
+                          cropRadius = 16,
+                          initialAdjustments,
+                          crop: cropProp,
+                          onCropChange,
+                          initialCrop,
+                          autoCropOptions,
+                          zoom: zoomProp,
+                          onZoomChange,
+                          onHistoryChange,
                           onChange,
-                      }) => {
-    const { image } = data;
+                          onCropComplete,
+                          changeThrottle = null,
+                          onError,
+                      }, ref) => {
+    const { image, type: imageType, name: imageName } = data;
     const canvasRef = useRef(null);
     const imageRef = useRef(new Image());
+    // EXIF tags and ICC profile of the loaded image, for preserveMetadata
+    const metadataRef = useRef(null);
+    // Identifies the latest onChange run so stale async encodes are dropped
+    const changeIdRef = useRef(0);
+    // Time of the last throttled onChange during an interaction
+    const lastChangeTimeRef = useRef(0);
+    // Active pointers by pointerId, in canvas pixels, for multi-touch gestures
+    const pointersRef = useRef(new Map());
+    const colorInputRef = useRef(null);
+    const loupeRef = useRef(null);
+    const idPrefix = useId();
+    const cropSettings = useMemo(() => ({ ...DEFAULT_CROP_SETTINGS, ...cropSettingsProp }), [cropSettingsProp]);
 
-    // Crop state in percentage relative to canvas
-    const [crop, setCrop] = useState({ x: 0, y: 0, width: 50, height: 50 });
-    const [zoom, setZoom] = useState(1);
+    const [moveImageMode, setMoveImageMode] = useState(false);
+    const [announcement, setAnnouncement] = useState('');
     const [interaction, setInteraction] = useState(null);
     const [backgroundColor, setBackgroundColor] = useState('#ffffff');
+    const [imageSize, setImageSize] = useState(null);
+    const [adjustments, setAdjustments] = useState({ ...DEFAULT_ADJUSTMENTS, ...initialAdjustments });
+    const [showAdjustments, setShowAdjustments] = useState(false);
+    const [isPicking, setIsPicking] = useState(false);
+    // Pointer position while picking on the canvas: canvas point, loupe position and the color under it
+    const [pickPoint, setPickPoint] = useState(null);
 
-    const aspectRatio = getCanvasAspectRatio(width, height);
-    const { MIN_CROP_WIDTH, MAX_CROP_WIDTH } = getCropWidthLimits(width, height, aspectRatio);
+    const history = useEditHistory(onHistoryChange);
+
+    // Cross-origin images without CORS headers can be shown but not read back, which rules out color picking
+    // on the canvas and the edge color suggestion
+    const isImageReadable = useMemo(() => Boolean(imageSize) && canReadPixels(imageRef.current), [imageSize]);
+
+    // Adjusted, downscaled copy of the image for the preview; the export adjusts its own pixels.
+    // Adjusting reads the pixels back, so an unreadable image previews without adjustments.
+    const previewSource = useMemo(() => {
+        if (!imageSize || !hasAdjustments(adjustments)) return null;
+        try {
+            return renderAdjustedImage(imageRef.current, adjustments, ADJUSTED_PREVIEW_MAX_SIZE);
+        } catch (error) {
+            console.error('ImageCropper:', error);
+            return null;
+        }
+    }, [imageSize, adjustments]);
 
-    // Converts percentage-based crop to pixel dimensions
-    const getPixelCrop = useCallback(() => {
+    // A list of presets enables the switcher; anything else is a single fixed setting
+    const aspectRatioPresets = Array.isArray(aspectRatioProp) ? aspectRatioProp.map(toAspectRatioPreset) : null;
+    const [selectedAspectRatio, setSelectedAspectRatio] = useState(() =>
+        aspectRatioPresets ? aspectRatioPresets[0]?.value ?? null : aspectRatioProp
+    );
+    const aspectRatioSetting = aspectRatioPresets
+        ? selectedAspectRatio
+        : aspectRatioProp === undefined
+            ? getCanvasAspectRatio(width, height)
+            : aspectRatioProp;
+
+    // Crop, zoom, pan, rotation and flips, with the crop in percent of the canvas
+    const cropper = useImageCropper({
+        width,
+        height,
+        imageSize,
+        aspectRatio: aspectRatioSetting,
+        minZoom,
+        maxZoom,
+        maxStraighten,
+        snapThreshold: cropSettings.snap ? cropSettings.snapThreshold : 0,
+        enabled: cropSettings.enabled,
+        output,
+        minOutputWidth,
+        minOutputHeight,
+        maxUpscale,
+        warningUpscale: cropSettings.warningUpscale,
+        crop: cropProp,
+        onCropChange,
+        initialCrop: initialCrop === 'auto' ? null : initialCrop,
+        zoom: zoomProp,
+        onZoomChange,
+    });
+    const { crop, zoom, pan, rotation, straighten, flipH, flipV, transform, pixelCrop, layout, sourceRect } = cropper;
+    const { quality } = cropper;
+    const { MIN_CROP_WIDTH, MAX_CROP_WIDTH } = cropper.cropLimits;
+
+    // Reads the pointer position in canvas pixels
+    const getCanvasPoint = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
         return {
-            x: (crop.x / 100) * width,
-            y: (crop.y / 100) * height,
-            width: (crop.width / 100) * width,
-            height: (crop.height / 100) * height,
+            x: ((e.clientX - rect.left) / rect.width) * width,
+            y: ((e.clientY - rect.top) / rect.height) * height,
         };
-    }, [crop, width, height]);
+    };
 
-    // Initialize crop box when component mounts or settings change
-    useEffect(() => {
-        if (!cropSettings.enabled) return;
-        const initialCropWidth = width * 0.5;
-        const initialCrop = calculateCropArea(initialCropWidth, width, height, aspectRatio);
-        setCrop({
-            x: (initialCrop.x / width) * 100,
-            y: (initialCrop.y / height) * 100,
-            width: (initialCrop.width / width) * 100,
-            height: (initialCrop.height / height) * 100,
-        });
-    }, [cropSettings.enabled, width, height, aspectRatio]);
+    // Load failures are logged and passed to onError, which is read when they happen
+    const onErrorRef = useRef(onError);
+    onErrorRef.current = onError;
 
-    // Load image when source changes
+    // Load image when source changes, upright according to its EXIF orientation
     useEffect(() => {
-        if (image) {
-            imageRef.current.src = image;
+        if (!image) return;
+        let cancelled = false;
+        let uprightUrl = null;
+        const reportError = (error) => {
+            if (cancelled) return;
+            console.error('ImageCropper:', error);
+            onErrorRef.current?.(error);
+        };
+
+        const loadImage = async () => {
+            const metadata = await readImageMetadata(image, imageType);
+            const { src, objectUrl } = await getUprightImageSource(image, metadata?.orientation ?? 1);
+            uprightUrl = objectUrl;
+            if (cancelled) {
+                if (objectUrl) URL.revokeObjectURL(objectUrl);
+                return;
+            }
+
+            metadataRef.current = metadata;
             imageRef.current.onload = () => {
-                renderCanvas();
+                setImageSize({
+                    width: imageRef.current.naturalWidth,
+                    height: imageRef.current.naturalHeight,
+                });
             };
-        }
-    }, [image]);
+            imageRef.current.onerror = () => reportError(new Error('Could not load the image.'));
+            imageRef.current.src = src;
+        };
+        loadImage().catch(reportError);
+
+        return () => {
+            cancelled = true;
+            if (uprightUrl) URL.revokeObjectURL(uprightUrl);
+        };
+    }, [image, imageType]);
 
     // Handle background color change
     const handleBackgroundColorChange = (e) => {
         setBackgroundColor(e.target.value);
     };
 
+    // Most common edge color of the (adjusted) image, offered as a background that blends in
+    const suggestedBackgroundColor = useMemo(() => {
+        if (!isImageReadable) return null;
+        return getDominantEdgeColor(previewSource || imageRef.current);
+    }, [isImageReadable, previewSource]);
+
+    const isInteracting = Boolean(interaction);
+    // Straighten angle for the label, rounded to a tenth of a degree
+    const straightenLabel = Math.round(straighten * 10) / 10;
+
     // Draw the image and crop area on the canvas
     const renderCanvas = useCallback(() => {
         const canvas = canvasRef.current;
-        if (!canvas || !imageRef.current.complete) return;
+        if (!canvas || !layout || !imageRef.current.complete) return;
 
         const ctx = canvas.getContext('2d');
         canvas.width = width * resolutionScale;
@@ -137,172 +525,470 @@ const ImageCropper = ({
         ctx.fillStyle = backgroundColor;
         ctx.fillRect(0, 0, width, height);
 
-        // Draw the image with zoom and centering
-        const { renderWidth, renderHeight, offsetX, offsetY } = calculateImageDimensions(
-            imageRef.current,
-            width,
-            height
-        );
-        const zoomedWidth = renderWidth * zoom;
-        const zoomedHeight = renderHeight * zoom;
-        const zoomedOffsetX = offsetX + (renderWidth - zoomedWidth) / 2;
-        const zoomedOffsetY = offsetY + (renderHeight - zoomedHeight) / 2;
+        // Draw the image with zoom, centering, rotation, flips and adjustments
+        const drawImage = () => {
+            drawTransformedImage(ctx, imageRef.current, layout, transform, previewSource || imageRef.current);
+        };
+        const traceCrop = () => {
+            ctx.beginPath();
+            traceCropShape(ctx, pixelCrop, cropShape, cropRadius);
+        };
+        // Browsers without canvas filters fall back to dimming
+        const outsideOverlay = cropSettings.outsideOverlay === 'blur' && !('filter' in ctx)
+            ? 'dim'
+            : cropSettings.outsideOverlay;
+
+        const showCropBox = cropSettings.enabled && !isPicking;
+
+        if (showCropBox && outsideOverlay === 'blur') {
+            ctx.save();
+            ctx.filter = `blur(${cropSettings.blurRadius}px)`;
+            drawImage();
+            ctx.restore();
+
+            // Redraw the kept area sharp on top
+            ctx.save();
+            traceCrop();
+            ctx.clip();
+            ctx.fillStyle = backgroundColor;
+            ctx.fillRect(0, 0, width, height);
+            drawImage();
+            ctx.restore();
+        } else {
+            drawImage();
+        }
 
-        ctx.drawImage(imageRef.current, zoomedOffsetX, zoomedOffsetY, zoomedWidth, zoomedHeight);
+        // Draw the crop box and handles; the eyedropper samples the plain preview, so they are hidden while picking
+        if (showCropBox) {
+            // Dim everything outside the crop so the kept area is obvious
+            if (outsideOverlay === 'dim') {
+                ctx.beginPath();
+                ctx.rect(0, 0, width, height);
+                traceCropShape(ctx, pixelCrop, cropShape, cropRadius);
+                ctx.fillStyle = cropSettings.overlayColor;
+                ctx.fill('evenodd');
+            }
 
-        // Draw the crop box and handles
-        if (cropSettings.enabled) {
-            const pixelCrop = getPixelCrop();
-            ctx.strokeStyle = cropSettings.cropBoxStrokeColor;
+            // Composition guides, clipped to the crop shape
+            const guides = [cropSettings.guides].flat().filter(Boolean);
+            if (guides.length) {
+                ctx.save();
+                traceCrop();
+                ctx.clip();
+                ctx.strokeStyle = cropSettings.guideColor;
+                ctx.lineWidth = cropSettings.guideStrokeWidth / resolutionScale;
+                ctx.beginPath();
+                guides.flatMap((guide) => getCropGuideLines(pixelCrop, guide)).forEach(([x1, y1, x2, y2]) => {
+                    ctx.moveTo(x1, y1);
+                    ctx.lineTo(x2, y2);
+                });
+                ctx.stroke();
+                ctx.restore();
+            }
+
+            // The warning color flags a crop too small for good output
+            const isLowQuality = quality?.isLow;
+            ctx.strokeStyle = isLowQuality ? cropSettings.warningColor : cropSettings.cropBoxStrokeColor;
             ctx.lineWidth = cropSettings.cropBoxStrokeWidth / resolutionScale;
-            ctx.strokeRect(pixelCrop.x, pixelCrop.y, pixelCrop.width, pixelCrop.height);
+            traceCrop();
+            ctx.stroke();
 
-            const handles = getCropHandles(pixelCrop, cropSettings, resolutionScale);
+            const handles = getCropHandles(pixelCrop, cropSettings, resolutionScale, cropShape);
             handles.forEach(({ x, y }) => {
-                ctx.fillStyle = cropSettings.handleFillColor;
-                ctx.strokeStyle = cropSettings.handleStrokeColor;
+                ctx.fillStyle = isLowQuality ? cropSettings.warningColor : cropSettings.handleFillColor;
+                ctx.strokeStyle = isLowQuality ? cropSettings.warningColor : cropSettings.handleStrokeColor;
                 ctx.lineWidth = cropSettings.cropBoxStrokeWidth / resolutionScale;
                 const handleSize = cropSettings.handleSize / resolutionScale;
                 ctx.fillRect(x - handleSize / 2, y - handleSize / 2, handleSize, handleSize);
                 ctx.strokeRect(x - handleSize / 2, y - handleSize / 2, handleSize, handleSize);
             });
-        }
-    }, [crop, zoom, cropSettings, width, height, resolutionScale, getPixelCrop, backgroundColor]);
 
-    // Output cropped image to onChange callback
-    const triggerOnChange = useCallback(async () => {
-        if (!onChange || !imageRef.current.complete || !cropSettings.enabled) return;
+            // Size of the output the current crop produces, while it is being dragged
+            if (isInteracting && cropSettings.sizeReadout && quality) {
+                const upscaleText = quality.upscale > 1 ? ` (${quality.upscale}× upscale)` : '';
+                const text = `${quality.outputWidth} × ${quality.outputHeight}${upscaleText}`;
+                drawCropLabel(ctx, text, pixelCrop, width, height);
+            }
+        }
+    }, [
+        cropSettings,
+        cropShape,
+        cropRadius,
+        width,
+        height,
+        resolutionScale,
+        pixelCrop,
+        layout,
+        transform,
+        previewSource,
+        backgroundColor,
+        quality,
+        isInteracting,
+        isPicking,
+    ]);
 
-        const pixelCrop = getPixelCrop();
-        const { renderWidth, renderHeight, offsetX, offsetY } = calculateImageDimensions(
-            imageRef.current,
-            width,
-            height
-        );
-        const zoomedWidth = renderWidth * zoom;
-        const zoomedHeight = renderHeight * zoom;
-        const zoomedOffsetX = offsetX + (renderWidth - zoomedWidth) / 2;
-        const zoomedOffsetY = offsetY + (renderHeight - zoomedHeight) / 2;
-
-        const scaleX = imageRef.current.width / renderWidth;
-        const scaleY = imageRef.current.height / renderHeight;
-
-        const srcX = ((pixelCrop.x - zoomedOffsetX) / zoom) * scaleX;
-        const srcY = ((pixelCrop.y - zoomedOffsetY) / zoom) * scaleY;
-        const srcWidth = (pixelCrop.width / zoom) * scaleX;
-        const srcHeight = (pixelCrop.height / zoom) * scaleY;
-
-        const cropCanvas = document.createElement('canvas');
-        cropCanvas.width = width;
-        cropCanvas.height = height;
-        const ctx = cropCanvas.getContext('2d');
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
+    // Crop box, view state and source-pixel crop rectangle, without encoding an image
+    const getCropData = useCallback(() => {
+        return {
+            crop,
+            zoomLevel: zoom,
+            pan,
+            backgroundColor,
+            adjustments,
+            rotation,
+            straighten,
+            flipH,
+            flipV,
+            srcX: sourceRect && Math.round(sourceRect.srcX),
+            srcY: sourceRect && Math.round(sourceRect.srcY),
+            srcWidth: sourceRect && Math.round(sourceRect.srcWidth),
+            srcHeight: sourceRect && Math.round(sourceRect.srcHeight),
+            quality,
+        };
+    }, [crop, zoom, pan, rotation, straighten, flipH, flipV, backgroundColor, adjustments, sourceRect, quality]);
 
-        ctx.fillStyle = backgroundColor;
-        ctx.fillRect(0, 0, width, height);
+    // Draws the crop into a new canvas and encodes it. options may override output, outputFormat,
+    // outputQuality, includeBase64, preserveMetadata and variants for this export only.
+    const exportCrop = useCallback(async (options = {}) => {
+        if (!imageRef.current.complete || !imageSize) {
+            throw new Error('Image is not loaded yet.');
+        }
 
-        ctx.drawImage(
-            imageRef.current,
-            srcX,
-            srcY,
-            srcWidth,
-            srcHeight,
-            0,
-            0,
-            width,
-            height
-        );
+        const {
+            output: exportOutput = output,
+            outputFormat: exportFormat = outputFormat,
+            outputQuality: exportQuality = outputQuality,
+            includeBase64: exportBase64 = includeBase64,
+            preserveMetadata: exportMetadata = preserveMetadata,
+            variants: exportVariants = variants,
+        } = options;
 
-        const croppedBase64 = cropCanvas.toDataURL('image/png');
-        onChange({
-            ...cropSettings,
-            croppedImage: croppedBase64,
-            zoomLevel: zoom,
+        const mimeType = resolveOutputMimeType(exportFormat, imageType || getDataUrlMimeType(image));
+        const renderOptions = {
+            canvasWidth: width,
+            canvasHeight: height,
+            pixelCrop,
+            zoom,
+            pan,
+            transform,
+            cropShape,
+            cropRadius,
             backgroundColor,
+            adjustments,
+            output: exportOutput,
+            mimeType,
+        };
+        // Variants share one render with the output, only as large as they need
+        const { canvas: cropCanvas, outputSize, variants: variantResults = null } = exportVariants?.length
+            ? await renderCropWithVariants(imageRef.current, renderOptions, exportVariants, { quality: exportQuality })
+            : renderCrop(imageRef.current, renderOptions);
+
+        let croppedBlob = await encodeCanvas(cropCanvas, mimeType, exportQuality);
+        const metadataOptions = resolveMetadataOptions(exportMetadata);
+        if (metadataOptions) {
+            croppedBlob = await writeJpegMetadata(croppedBlob, metadataRef.current, metadataOptions);
+            for (const variant of Object.values(variantResults ?? {})) {
+                variant.blob = await writeJpegMetadata(variant.blob, metadataRef.current, metadataOptions);
+            }
+        }
+
+        // Browsers fall back to PNG for formats they cannot encode, so trust the blob's type
+        const croppedFile = new File([croppedBlob], getOutputFileName(imageName, croppedBlob.type), {
+            type: croppedBlob.type,
         });
-    }, [crop, zoom, cropSettings, width, height, onChange, getPixelCrop, backgroundColor]);
+        const croppedBase64 = exportBase64 ? await blobToDataUrl(croppedBlob) : null;
 
-    // Redraw and emit onChange whenever crop, zoom, or background changes
+        return {
+            ...getCropData(),
+            croppedImage: croppedBase64,
+            croppedBlob,
+            croppedFile,
+            mimeType: croppedBlob.type,
+            cropShape,
+            cropRadius: cropShape === 'rounded' ? Math.round(cropRadius * (outputSize.width / pixelCrop.width)) : 0,
+            outputWidth: outputSize.width,
+            outputHeight: outputSize.height,
+            variants: variantResults,
+        };
+    }, [
+        zoom,
+        pan,
+        width,
+        height,
+        image,
+        imageType,
+        imageName,
+        imageSize,
+        output,
+        outputFormat,
+        outputQuality,
+        includeBase64,
+        preserveMetadata,
+        variants,
+        cropShape,
+        cropRadius,
+        adjustments,
+        pixelCrop,
+        getCropData,
+        transform,
+        backgroundColor,
+    ]);
+
+    // Output cropped image to onChange, and to onCropComplete once the change has settled
+    const triggerOnChange = async (settled) => {
+        if (!onChange && !(settled && onCropComplete)) return;
+
+        const changeId = ++changeIdRef.current;
+        const result = await exportCrop();
+        if (changeId !== changeIdRef.current) return;
+
+        const payload = {
+            ...cropSettings,
+            ...result,
+        };
+        onChange?.(payload);
+        if (settled) onCropComplete?.(payload);
+    };
+    // Effects read the latest closure, so inline props from the parent don't retrigger encoding
+    const triggerOnChangeRef = useRef(triggerOnChange);
+    triggerOnChangeRef.current = triggerOnChange;
+
+    // Repaint the preview on every change; this never encodes
     useEffect(() => {
         renderCanvas();
-        triggerOnChange();
-    }, [crop, zoom, backgroundColor, renderCanvas, triggerOnChange]);
-
-    // Start interaction (drag/resize) on mouse down
-    const handleMouseDown = (e) => {
-        if (!cropSettings.enabled) return;
-        const rect = canvasRef.current.getBoundingClientRect();
-        const x = ((e.clientX - rect.left) / rect.width) * width;
-        const y = ((e.clientY - rect.top) / rect.height) * height;
+    }, [renderCanvas]);
 
-        const pixelCrop = getPixelCrop();
-        const handles = getCropHandles(pixelCrop, cropSettings, resolutionScale);
-        const handleSize = cropSettings.handleSize / resolutionScale;
+    // Emit output once an edit settles, plus throttled onChange during interactions when requested.
+    // Keyed on values rather than callbacks so parent re-renders don't cause re-encoding.
+    const outputKey = JSON.stringify([
+        image,
+        width,
+        height,
+        output,
+        outputFormat,
+        outputQuality,
+        includeBase64,
+        preserveMetadata,
+        variants,
+        cropShape,
+        cropRadius,
+    ]);
+    useEffect(() => {
+        if (!imageSize || !cropSettings.enabled) return;
+        const emit = (settled) => {
+            triggerOnChangeRef.current(settled).catch((error) => console.error('ImageCropper:', error));
+        };
 
-        for (const handle of handles) {
-            if (Math.abs(x - handle.x) < handleSize && Math.abs(y - handle.y) < handleSize) {
-                setInteraction({ type: 'resize', handle: handle.name, startX: x, startY: y });
-                return;
-            }
+        if (interaction) {
+            if (changeThrottle === null) return;
+            const wait = Math.max(0, lastChangeTimeRef.current + changeThrottle - Date.now());
+            const timer = setTimeout(() => {
+                lastChangeTimeRef.current = Date.now();
+                emit(false);
+            }, wait);
+            return () => clearTimeout(timer);
         }
 
-        if (
-            x >= pixelCrop.x &&
-            x <= pixelCrop.x + pixelCrop.width &&
-            y >= pixelCrop.y &&
-            y <= pixelCrop.y + pixelCrop.height
-        ) {
-            setInteraction({ type: 'drag', startX: x, startY: y });
+        // A short delay folds bursts such as key repeats and wheel zooming into one encode
+        const timer = setTimeout(() => emit(true), CHANGE_SETTLE_DELAY);
+        return () => clearTimeout(timer);
+    }, [
+        crop,
+        zoom,
+        pan,
+        transform,
+        backgroundColor,
+        adjustments,
+        interaction,
+        imageSize,
+        cropSettings.enabled,
+        changeThrottle,
+        outputKey,
+    ]);
+
+    // Describe the crop for screen readers once an interaction settles, in source pixels when known
+    useEffect(() => {
+        if (interaction || !cropSettings.enabled) return;
+        const rect = sourceRect
+            ? { x: sourceRect.srcX, y: sourceRect.srcY, width: sourceRect.srcWidth, height: sourceRect.srcHeight }
+            : pixelCrop;
+        setAnnouncement(
+            `Crop ${Math.round(rect.width)} by ${Math.round(rect.height)} pixels ` +
+            `at ${Math.round(rect.x)}, ${Math.round(rect.y)}. Zoom ${Math.round(zoom * 100)}%.` +
+            (quality?.isLow ? ' Low resolution.' : '')
+        );
+    }, [interaction, cropSettings.enabled, pixelCrop, sourceRect, zoom, quality?.isLow]);
+
+    // What a pointer at (x, y) would grab: a crop handle, the crop box or the image
+    const getTargetAt = (x, y, pointerType) => {
+        return getPointerTarget(pixelCrop, x, y, { cropSettings, resolutionScale, cropShape, cropRadius, pointerType });
+    };
+
+    // Distance and angle between the first two active pointers
+    const getPinchGeometry = () => {
+        const [first, second] = [...pointersRef.current.values()];
+        return {
+            distance: Math.hypot(second.x - first.x, second.y - first.y),
+            angle: (Math.atan2(second.y - first.y, second.x - first.x) * 180) / Math.PI,
+            centerX: (first.x + second.x) / 2,
+            centerY: (first.y + second.y) / 2,
+        };
+    };
+
+    // Average color of the rendered preview around the canvas point (x, y)
+    const sampleColorAt = (x, y) => {
+        if (!isImageReadable) return null;
+        return sampleCanvasColor(
+            canvasRef.current,
+            x * resolutionScale,
+            y * resolutionScale,
+            eyedropperRadius * resolutionScale
+        );
+    };
+
+    const stopPicking = () => {
+        setIsPicking(false);
+        setPickPoint(null);
+    };
+
+    const applyPickedColor = (color) => {
+        if (!color) return;
+        setBackgroundColor(color);
+        setAnnouncement(`Background color ${color}.`);
+    };
+
+    // Toggles the eyedropper: the native one where supported, picking on the canvas otherwise
+    const handleEyedropperClick = async () => {
+        if (isPicking) {
+            stopPicking();
+            return;
+        }
+        if (!isEyeDropperSupported()) {
+            if (isImageReadable) setIsPicking(true);
+            return;
+        }
+        setIsPicking(true);
+        try {
+            applyPickedColor(await pickScreenColor());
+        } catch (error) {
+            console.error('ImageCropper:', error);
+        } finally {
+            stopPicking();
         }
     };
 
-    // Update crop during mouse move
-    const handleMouseMove = (e) => {
-        const rect = canvasRef.current.getBoundingClientRect();
-        const x = ((e.clientX - rect.left) / rect.width) * width;
-        const y = ((e.clientY - rect.top) / rect.height) * height;
+    // Escape cancels canvas picking. Listening in the capture phase gets it before an enclosing Modal,
+    // which then sees it handled and stays open.
+    useEffect(() => {
+        if (!isPicking) return;
+        const handleKeyDown = (event) => {
+            if (event.key !== 'Escape') return;
+            event.preventDefault();
+            setIsPicking(false);
+            setPickPoint(null);
+        };
+        document.addEventListener('keydown', handleKeyDown, true);
+        return () => document.removeEventListener('keydown', handleKeyDown, true);
+    }, [isPicking]);
 
-        if (interaction) {
-            const pixelCrop = getPixelCrop();
+    // Magnify the preview under the pointer while picking
+    useEffect(() => {
+        const loupe = loupeRef.current;
+        if (!loupe || !pickPoint) return;
+        drawLoupe(loupe, canvasRef.current, pickPoint.x * resolutionScale, pickPoint.y * resolutionScale, {
+            zoom: LOUPE_ZOOM / resolutionScale,
+            sampleSize: 2 * eyedropperRadius * resolutionScale + 1,
+        });
+    }, [pickPoint, resolutionScale, eyedropperRadius]);
 
-            if (interaction.type === 'drag') {
-                const dx = ((x - interaction.startX) / width) * 100;
-                const dy = ((y - interaction.startY) / height) * 100;
+    // Start interaction (drag/resize/pan/pinch) on pointer down
+    const handlePointerDown = (e) => {
+        const { x, y } = getCanvasPoint(e);
+        if (isPicking) {
+            applyPickedColor(sampleColorAt(x, y));
+            stopPicking();
+            return;
+        }
+        // Keep receiving events when the pointer leaves the canvas mid-drag
+        canvasRef.current.setPointerCapture(e.pointerId);
+        pointersRef.current.set(e.pointerId, { x, y });
 
-                setCrop((prev) => {
-                    let newX = Math.max(0, Math.min(prev.x + dx, 100 - prev.width));
-                    let newY = Math.max(0, Math.min(prev.y + dy, 100 - prev.height));
-                    return { ...prev, x: newX, y: newY };
-                });
+        if (pointersRef.current.size === 2) {
+            const { distance, angle } = getPinchGeometry();
+            setInteraction({
+                type: 'pinch',
+                startDistance: distance,
+                startAngle: angle,
+                startZoom: zoom,
+                startStraighten: straighten,
+            });
+            return;
+        }
+        if (pointersRef.current.size > 2) return;
 
-                setInteraction((prev) => ({ ...prev, startX: x, startY: y }));
-            } else if (interaction.type === 'resize') {
-                const newCrop = resizeCrop(
-                    x,
-                    y,
-                    pixelCrop,
-                    interaction.handle,
-                    width,
-                    height,
-                    aspectRatio,
-                    MIN_CROP_WIDTH,
-                    MAX_CROP_WIDTH
-                );
-                setCrop({
-                    x: (newCrop.x / width) * 100,
-                    y: (newCrop.y / height) * 100,
-                    width: (newCrop.width / width) * 100,
-                    height: (newCrop.height / height) * 100,
-                });
-            }
+        // Anywhere outside the crop box, or anywhere in move image mode, drags the image itself
+        const target = cropSettings.enabled && !moveImageMode ? getTargetAt(x, y, e.pointerType) : { type: 'pan' };
+        // Drags move the crop relative to where it started, so snapped edges can be pulled free again
+        setInteraction({ ...target, startX: x, startY: y, startCropX: pixelCrop.x, startCropY: pixelCrop.y });
+        if (target.type === 'pan') {
+            canvasRef.current.style.cursor = 'grabbing';
+        }
+    };
+
+    // Update crop during pointer move
+    const handlePointerMove = (e) => {
+        const { x, y } = getCanvasPoint(e);
+        if (isPicking) {
+            // The loupe sits above and to the right of the pointer, in the container's coordinates
+            const canvas = canvasRef.current;
+            const rect = canvas.getBoundingClientRect();
+            canvas.style.cursor = 'crosshair';
+            setPickPoint({
+                x,
+                y,
+                left: canvas.offsetLeft + e.clientX - rect.left + 16,
+                top: canvas.offsetTop + e.clientY - rect.top - LOUPE_SIZE - 16,
+                color: sampleColorAt(x, y),
+            });
+            return;
+        }
+        if (pointersRef.current.has(e.pointerId)) {
+            pointersRef.current.set(e.pointerId, { x, y });
+        }
+
+        if (!interaction) {
+            updateCursor(x, y, e.pointerType);
+            return;
+        }
+
+        if (interaction.type === 'pinch') {
+            if (pointersRef.current.size < 2) return;
+            const { distance, angle, centerX, centerY } = getPinchGeometry();
+            // Normalize the twist to (-180, 180] so crossing the atan2 seam doesn't jump
+            const twist = ((angle - interaction.startAngle + 540) % 360) - 180;
+            cropper.zoomTo(interaction.startZoom * (distance / interaction.startDistance), centerX, centerY);
+            // Rounded to tenths of a degree, as the label shows it
+            cropper.setStraighten(Math.round((interaction.startStraighten + twist) * 10) / 10);
+        } else if (interaction.type === 'resize') {
+            cropper.resizeCrop(interaction.handle, x + interaction.offsetX, y + interaction.offsetY, !e.altKey);
+        } else if (interaction.type === 'drag') {
+            const newX = interaction.startCropX + x - interaction.startX;
+            const newY = interaction.startCropY + y - interaction.startY;
+            cropper.moveCropTo(newX, newY, !e.altKey);
         } else {
-            updateCursor(x, y);
+            cropper.panBy(x - interaction.startX, y - interaction.startY);
+            setInteraction((prev) => ({ ...prev, startX: x, startY: y }));
         }
     };
 
-    // End interaction on mouse up
-    const handleMouseUp = () => {
+    // End interaction on pointer up or cancel
+    const handlePointerUp = (e) => {
+        pointersRef.current.delete(e.pointerId);
+        if (canvasRef.current?.hasPointerCapture(e.pointerId)) {
+            canvasRef.current.releasePointerCapture(e.pointerId);
+        }
+        // Lifting one finger of a pinch ends the gesture instead of turning into a drag
+        if (pointersRef.current.size > 0 && interaction?.type !== 'pinch') return;
         setInteraction(null);
         if (canvasRef.current) {
             canvasRef.current.style.cursor = 'default';
@@ -310,163 +996,478 @@ const ImageCropper = ({
     };
 
     // Update cursor style based on hover area
-    const updateCursor = (x, y) => {
-        const pixelCrop = getPixelCrop();
-        const handles = getCropHandles(pixelCrop, cropSettings, resolutionScale);
-        const handleSize = cropSettings.handleSize / resolutionScale;
-
-        for (const handle of handles) {
-            if (Math.abs(x - handle.x) < handleSize && Math.abs(y - handle.y) < handleSize) {
-                const cursorMap = {
-                    tl: 'nwse-resize',
-                    br: 'nwse-resize',
-                    tr: 'nesw-resize',
-                    bl: 'nesw-resize',
-                    l: 'ew-resize',
-                    r: 'ew-resize',
-                    t: 'ns-resize',
-                    b: 'ns-resize',
-                };
-                canvasRef.current.style.cursor = cursorMap[handle.name] || 'default';
-                return;
-            }
+    const updateCursor = (x, y, pointerType) => {
+        canvasRef.current.style.cursor = cropSettings.enabled && !moveImageMode
+            ? getTargetCursor(getTargetAt(x, y, pointerType))
+            : 'grab';
+    };
+
+    // Zoom control handlers
+    const handleZoomIn = () => {
+        cropper.zoomTo(zoom + zoomStep);
+    };
+
+    const handleZoomOut = () => {
+        cropper.zoomTo(zoom - zoomStep);
+    };
+
+    // Mouse wheel zooms around the cursor
+    const handleWheel = (e) => {
+        e.preventDefault();
+        const { x, y } = getCanvasPoint(e);
+        cropper.zoomTo(zoom + (e.deltaY < 0 ? zoomStep : -zoomStep), x, y);
+    };
+
+    // React registers wheel listeners as passive, so attach it natively to be able to preventDefault
+    const wheelHandlerRef = useRef(handleWheel);
+    wheelHandlerRef.current = handleWheel;
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const onWheel = (e) => wheelHandlerRef.current(e);
+        canvas.addEventListener('wheel', onWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', onWheel);
+    }, [image]);
+
+    // Keyboard control: arrows move, Shift + arrows resize, Alt for larger steps, +/- zoom
+    const handleKeyDown = (e) => {
+        if (e.key === '+' || e.key === '=') {
+            e.preventDefault();
+            handleZoomIn();
+            return;
+        }
+        if (e.key === '-' || e.key === '_') {
+            e.preventDefault();
+            handleZoomOut();
+            return;
         }
 
-        if (
-            x >= pixelCrop.x &&
-            x <= pixelCrop.x + pixelCrop.width &&
-            y >= pixelCrop.y &&
-            y <= pixelCrop.y + pixelCrop.height
-        ) {
-            canvasRef.current.style.cursor = 'move';
+        const arrowDirections = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1],
+        };
+        const direction = arrowDirections[e.key];
+        if (!direction || !cropSettings.enabled) return;
+        e.preventDefault();
+
+        const step = e.altKey ? 10 : 1;
+        const dx = direction[0] * step;
+        const dy = direction[1] * step;
+
+        if (e.shiftKey) {
+            // Resize from the right or bottom edge, which keeps the top-left corner in place
+            cropper.resizeCrop(
+                dx ? 'r' : 'b',
+                pixelCrop.x + pixelCrop.width + dx,
+                pixelCrop.y + pixelCrop.height + dy
+            );
         } else {
-            canvasRef.current.style.cursor = 'default';
+            cropper.moveCrop(dx, dy);
         }
     };
 
-    // Handle resize operations for each crop handle
-    const resizeCrop = (
-        x,
-        y,
-        pixelCrop,
-        handle,
-        canvasWidth,
-        canvasHeight,
-        aspectRatio,
-        minCropWidth,
-        maxCropWidth
-    ) => {
-        const handlers = {
-            br: () => {
-                let width = x - pixelCrop.x;
-                width = Math.max(minCropWidth, Math.min(width, canvasWidth - pixelCrop.x));
-                const height = width / aspectRatio;
-                return { ...pixelCrop, width, height };
-            },
-            tl: () => {
-                let width = pixelCrop.x + pixelCrop.width - x;
-                width = Math.max(minCropWidth, Math.min(width, pixelCrop.x + pixelCrop.width));
-                const height = width / aspectRatio;
-                const newX = pixelCrop.x + pixelCrop.width - width;
-                const newY = pixelCrop.y + pixelCrop.height - height;
-                return { x: newX, y: newY, width, height };
-            },
-            tr: () => {
-                let width = x - pixelCrop.x;
-                width = Math.max(minCropWidth, Math.min(width, canvasWidth - pixelCrop.x));
-                const height = width / aspectRatio;
-                const newY = pixelCrop.y + pixelCrop.height - height;
-                return { x: pixelCrop.x, y: newY, width, height };
-            },
-            bl: () => {
-                let width = pixelCrop.x + pixelCrop.width - x;
-                width = Math.max(minCropWidth, Math.min(width, pixelCrop.x + pixelCrop.width));
-                const height = width / aspectRatio;
-                const newX = pixelCrop.x + pixelCrop.width - width;
-                return { x: newX, y: pixelCrop.y, width, height };
-            },
-            t: () => {
-                let height = pixelCrop.y + pixelCrop.height - y;
-                height = Math.max(minCropWidth / aspectRatio, Math.min(height, pixelCrop.y + pixelCrop.height));
-                const width = height * aspectRatio;
-                const newX = pixelCrop.x + (pixelCrop.width - width) / 2;
-                return { x: newX, y, width, height };
-            },
-            b: () => {
-                let height = y - pixelCrop.y;
-                height = Math.max(minCropWidth / aspectRatio, Math.min(height, canvasHeight - pixelCrop.y));
-                const width = height * aspectRatio;
-                const newX = pixelCrop.x + (pixelCrop.width - width) / 2;
-                return { x: newX, y: pixelCrop.y, width, height };
-            },
-            l: () => {
-                let width = pixelCrop.x + pixelCrop.width - x;
-                width = Math.max(minCropWidth, Math.min(width, pixelCrop.x + pixelCrop.width));
-                const height = width / aspectRatio;
-                const newY = pixelCrop.y + (pixelCrop.height - height) / 2;
-                return { x, y: newY, width, height };
-            },
-            r: () => {
-                let width = x - pixelCrop.x;
-                width = Math.max(minCropWidth, Math.min(width, canvasWidth - pixelCrop.x));
-                const height = width / aspectRatio;
-                const newY = pixelCrop.y + (pixelCrop.height - height) / 2;
-                return { x: pixelCrop.x, y: newY, width, height };
-            },
-        };
-
-        return handlers[handle]?.() || pixelCrop;
+    // Opens the native color picker behind the background color button
+    const handleBackgroundColorClick = () => {
+        colorInputRef.current?.click();
     };
 
-    // Zoom control handlers
-    const handleZoomIn = () => {
-        setZoom((prev) => Math.min(prev + 0.1, 3));
+    // Proposes a crop for the current aspect ratio from the image's content. It needs the pixels, so an
+    // unreadable image keeps its current crop.
+    const handleAutoCrop = () => {
+        if (!layout || !cropSettings.enabled || !isImageReadable) return;
+        let suggestion;
+        try {
+            suggestion = suggestCrop(imageRef.current, {
+                ...autoCropOptions,
+                width,
+                height,
+                layout,
+                transform,
+                source: previewSource || imageRef.current,
+                aspectRatio: cropper.aspectRatio,
+                backgroundColor,
+            });
+        } catch (error) {
+            console.error('ImageCropper:', error);
+            return;
+        }
+        if (!suggestion) return;
+        // Held to the same minimum size as a manual resize, so the output stays sharp enough
+        const limitedSuggestion = growPixelCropToLimits(suggestion, cropper.cropLimits, width, height);
+        cropper.setCrop(toPercentCrop(limitedSuggestion, width, height));
+        // A straightened image may not hold all of the suggestion
+        cropper.dispatch({ type: 'clamp' });
     };
 
-    const handleZoomOut = () => {
-        setZoom((prev) => Math.max(prev - 0.1, 0.5));
+    // initialCrop 'auto' runs once each image has loaded
+    const autoCropRef = useRef(handleAutoCrop);
+    autoCropRef.current = handleAutoCrop;
+    useEffect(() => {
+        if (initialCrop === 'auto' && imageSize) autoCropRef.current();
+    }, [initialCrop, imageSize]);
+
+    const handleStraightenChange = (e) => {
+        cropper.setStraighten(parseFloat(e.target.value));
     };
 
     // Crop size slider (if enabled)
     const handleCropWidthChangeBySlider = (e) => {
-        const pixelWidth = parseFloat(e.target.value);
-        const newCrop = calculateCropArea(pixelWidth, width, height, aspectRatio);
-        setCrop({
-            x: (newCrop.x / width) * 100,
-            y: (newCrop.y / height) * 100,
-            width: (newCrop.width / width) * 100,
-            height: (newCrop.height / height) * 100,
-        });
+        cropper.scaleCrop(parseFloat(e.target.value));
+    };
+
+    // Everything an undo step restores
+    const getSnapshot = () => ({ crop, zoom, pan, rotation, straighten, flipH, flipV, backgroundColor, adjustments });
+
+    const applySnapshot = ({ backgroundColor: snapshotBackground, adjustments: snapshotAdjustments, ...cropState }) => {
+        cropper.setState(cropState);
+        setBackgroundColor(snapshotBackground);
+        setAdjustments(snapshotAdjustments);
     };
 
+    // A new image starts a fresh history
+    const { clear: clearHistory, commit: commitHistory } = history;
+    useEffect(() => {
+        clearHistory();
+    }, [image, clearHistory]);
+
+    // Record an undo step once an edit settles; drags only count when they end
+    useEffect(() => {
+        if (!imageSize || interaction) return;
+        const timer = setTimeout(() => {
+            commitHistory({ crop, zoom, pan, rotation, straighten, flipH, flipV, backgroundColor, adjustments });
+        }, HISTORY_SETTLE_DELAY);
+        return () => clearTimeout(timer);
+    }, [
+        crop,
+        zoom,
+        pan,
+        rotation,
+        straighten,
+        flipH,
+        flipV,
+        backgroundColor,
+        adjustments,
+        interaction,
+        imageSize,
+        commitHistory,
+    ]);
+
+    const handleUndo = () => {
+        // Record an edit still waiting for its settle delay, so undo doesn't skip over it
+        history.commit(getSnapshot());
+        const snapshot = history.undo();
+        if (snapshot) applySnapshot(snapshot);
+    };
+
+    const handleRedo = () => {
+        history.commit(getSnapshot());
+        const snapshot = history.redo();
+        if (snapshot) applySnapshot(snapshot);
+    };
+
+    // Back to the state the image was opened with, as a new undoable step
+    const handleReset = () => {
+        history.commit(getSnapshot());
+        const initialSnapshot = history.getInitial();
+        if (initialSnapshot) {
+            applySnapshot(initialSnapshot);
+            return;
+        }
+        cropper.reset(initialCrop === 'auto' ? null : initialCrop);
+        setAdjustments({ ...DEFAULT_ADJUSTMENTS, ...initialAdjustments });
+    };
+
+    const handleAdjustmentsChange = (changes) => {
+        setAdjustments((prev) => ({ ...prev, ...changes }));
+    };
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes, from anywhere inside the cropper
+    const handleHistoryKeyDown = (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
+        }
+    };
+
+    // Imperative API for hosts that produce output on demand
+    const handlersRef = useRef({});
+    handlersRef.current = { handleUndo, handleRedo, handleReset };
+    useImperativeHandle(ref, () => ({
+        getCroppedBlob: async (options) => (await exportCrop(options)).croppedBlob,
+        getVariants: async (variantList = variants) => {
+            return (await exportCrop({ variants: variantList, includeBase64: false })).variants;
+        },
+        getCropData,
+        reset: () => handlersRef.current.handleReset(),
+        setCrop: cropper.setCrop,
+        undo: () => handlersRef.current.handleUndo(),
+        redo: () => handlersRef.current.handleRedo(),
+        canUndo: () => history.canUndo,
+        canRedo: () => history.canRedo,
+    }), [exportCrop, getCropData, cropper.setCrop, variants, history.canUndo, history.canRedo]);
+
     // Render nothing if image is not available
     if (!image) return null;
 
     return (
-        <div className="image-cropper-container">
+        <div className="image-cropper-container" onKeyDown={handleHistoryKeyDown}>
             <canvas
                 ref={canvasRef}
-                onMouseDown={handleMouseDown}
-                onMouseMove={handleMouseMove}
-                onMouseUp={handleMouseUp}
-                onMouseLeave={handleMouseUp}
+                tabIndex={0}
+                role="application"
+                aria-roledescription="image cropper"
+                aria-label={label}
+                aria-describedby={`${idPrefix}-instructions`}
+                onKeyDown={handleKeyDown}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onPointerLeave={() => setPickPoint(null)}
                 style={{ border: '1px solid #ccc', cursor: 'default' }}
             />
+            {isPicking && pickPoint && (
+                <canvas
+                    ref={loupeRef}
+                    className="image-cropper-loupe"
+                    width={LOUPE_SIZE}
+                    height={LOUPE_SIZE}
+                    style={{ left: pickPoint.left, top: pickPoint.top, borderColor: pickPoint.color || undefined }}
+                    aria-hidden="true"
+                />
+            )}
+            <div id={`${idPrefix}-instructions`} className="image-cropper-sr-only">
+                Use the arrow keys to move the crop box and Shift with the arrow keys to resize it.
+                Hold Alt for larger steps. Press plus or minus to zoom. Press Control Z to undo
+                and Control Shift Z to redo.
+            </div>
+            <div className="image-cropper-sr-only" role="status" aria-live="polite">
+                {announcement}
+            </div>
             <div className="image-cropper-controls">
-                <div className="image-cropper-btn">
-                    <ZoomIn onClick={handleZoomIn} disabled={zoom >= 3} className="zoom-btn" />
-                    <ZoomOut onClick={handleZoomOut} disabled={zoom <= 0.5} className="zoom-btn" />
+                <div className="image-cropper-btn" role="toolbar" aria-label="Image controls">
+                    <button
+                        type="button"
+                        className="zoom-btn"
+                        onClick={handleZoomIn}
+                        disabled={zoom >= maxZoom}
+                        aria-label="Zoom in"
+                        title="Zoom in"
+                    >
+                        <ZoomIn aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="zoom-btn"
+                        onClick={handleZoomOut}
+                        disabled={zoom <= minZoom}
+                        aria-label="Zoom out"
+                        title="Zoom out"
+                    >
+                        <ZoomOut aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="zoom-btn"
+                        onClick={cropper.fit}
+                        aria-label="Fit image"
+                        title="Fit image"
+                    >
+                        <Shrink aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="zoom-btn"
+                        onClick={cropper.fill}
+                        aria-label="Fill canvas"
+                        title="Fill canvas"
+                    >
+                        <Expand aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="zoom-btn"
+                        onClick={handleAutoCrop}
+                        disabled={!cropSettings.enabled || !isImageReadable}
+                        aria-label="Auto crop"
+                        title="Auto crop"
+                    >
+                        <WandSparkles aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className={`transform-btn ${moveImageMode ? 'active' : ''}`}
+                        onClick={() => setMoveImageMode((prev) => !prev)}
+                        aria-pressed={moveImageMode}
+                        aria-label="Move image"
+                        title="Move image"
+                    >
+                        <Hand aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="transform-btn"
+                        onClick={() => cropper.rotate(-90)}
+                        aria-label="Rotate left"
+                        title="Rotate left"
+                    >
+                        <RotateCcw aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="transform-btn"
+                        onClick={() => cropper.rotate(90)}
+                        aria-label="Rotate right"
+                        title="Rotate right"
+                    >
+                        <RotateCw aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className={`transform-btn ${flipH ? 'active' : ''}`}
+                        onClick={() => cropper.flip('horizontal')}
+                        aria-pressed={flipH}
+                        aria-label="Flip horizontally"
+                        title="Flip horizontally"
+                    >
+                        <FlipHorizontal2 aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className={`transform-btn ${flipV ? 'active' : ''}`}
+                        onClick={() => cropper.flip('vertical')}
+                        aria-pressed={flipV}
+                        aria-label="Flip vertically"
+                        title="Flip vertically"
+                    >
+                        <FlipVertical2 aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="transform-btn"
+                        onClick={handleUndo}
+                        disabled={!history.canUndo}
+                        aria-label="Undo"
+                        title="Undo"
+                    >
+                        <Undo2 aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="transform-btn"
+                        onClick={handleRedo}
+                        disabled={!history.canRedo}
+                        aria-label="Redo"
+                        title="Redo"
+                    >
+                        <Redo2 aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className="transform-btn"
+                        onClick={handleReset}
+                        aria-label="Reset to initial"
+                        title="Reset to initial"
+                    >
+                        <RefreshCcw aria-hidden="true" />
+                    </button>
+                    <button
+                        type="button"
+                        className={`transform-btn ${showAdjustments ? 'active' : ''}`}
+                        onClick={() => setShowAdjustments((prev) => !prev)}
+                        aria-expanded={showAdjustments}
+                        aria-controls={`${idPrefix}-adjustments`}
+                        aria-label="Adjustments"
+                        title="Adjustments"
+                    >
+                        <SlidersHorizontal aria-hidden="true" />
+                    </button>
                 </div>
-                <div className="background-color-picker">
-                    <label htmlFor="backgroundColor"><Pipette /></label>
+                {aspectRatioPresets && (
+                    <div className="aspect-ratio-switcher" role="group" aria-label="Aspect ratio">
+                        {aspectRatioPresets.map((preset) => (
+                            <button
+                                key={preset.label}
+                                type="button"
+                                className={`aspect-ratio-btn ${preset.value === selectedAspectRatio ? 'active' : ''}`}
+                                onClick={() => setSelectedAspectRatio(preset.value)}
+                                aria-pressed={preset.value === selectedAspectRatio}
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                <div className="background-color-picker" role="group" aria-label="Background color">
+                    <button
+                        type="button"
+                        className="background-swatch"
+                        style={{ backgroundColor }}
+                        onClick={handleBackgroundColorClick}
+                        aria-label={`Background color, ${backgroundColor}`}
+                        title="Background color"
+                    />
+                    <button
+                        type="button"
+                        className={`transform-btn ${isPicking ? 'active' : ''}`}
+                        onClick={handleEyedropperClick}
+                        disabled={!imageSize || (!isImageReadable && !isEyeDropperSupported())}
+                        aria-pressed={isPicking}
+                        aria-label="Pick background color from image"
+                        title="Pick color from image"
+                    >
+                        <Pipette aria-hidden="true" />
+                    </button>
+                    {suggestedBackgroundColor && suggestedBackgroundColor !== backgroundColor && (
+                        <button
+                            type="button"
+                            className="background-swatch"
+                            style={{ backgroundColor: suggestedBackgroundColor }}
+                            onClick={() => applyPickedColor(suggestedBackgroundColor)}
+                            aria-label={`Use edge color, ${suggestedBackgroundColor}`}
+                            title="Use edge color"
+                        />
+                    )}
                     <input
+                        ref={colorInputRef}
                         type="color"
-                        id="backgroundColor"
+                        id={`${idPrefix}-background-color`}
                         value={backgroundColor}
                         onChange={handleBackgroundColorChange}
+                        tabIndex={-1}
+                        aria-hidden="true"
                     />
                 </div>
             </div>
+            {showAdjustments && (
+                <AdjustmentsPanel
+                    id={`${idPrefix}-adjustments`}
+                    adjustments={adjustments}
+                    onChange={handleAdjustmentsChange}
+                />
+            )}
+            <div className="image-cropper-straighten">
+                <label htmlFor={`${idPrefix}-straighten`} className="image-cropper-sr-only">Straighten</label>
+                <input
+                    type="range"
+                    id={`${idPrefix}-straighten`}
+                    min={-maxStraighten}
+                    max={maxStraighten}
+                    step={0.5}
+                    value={straighten}
+                    onChange={handleStraightenChange}
+                    onDoubleClick={() => cropper.setStraighten(0)}
+                    aria-valuetext={`${straightenLabel} degrees`}
+                />
+                <span className="straighten-value" aria-hidden="true">{straightenLabel}°</span>
+            </div>
             {cropSettings.slider && (
                 <input
                     type="range"
@@ -475,11 +1476,14 @@ const ImageCropper = ({
                     value={(crop.width / 100) * width}
                     step={1}
                     onChange={handleCropWidthChangeBySlider}
+                    aria-label="Crop size"
                     style={{ width: '100%', marginTop: '10px' }}
                 />
             )}
         </div>
     );
-};
+});
+
+ImageCropper.displayName = 'ImageCropper';
 
 export default ImageCropper;
@@ -1,13 +1,64 @@
-import React from 'react';
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
 //Icon
-import { X } from 'lucide-react';
+import { Loader2, X } from 'lucide-react';
 
 //Component
 import Button from '../Button/Button.jsx';
 
+//hooks
+import useModalStack from '../../hooks/useModalStack.js';
+
 //CSS
 import './Modal.scss';
 
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Focusable elements that are actually rendered, in tab order
+const getFocusableElements = (container) => {
+    if (!container) return [];
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+        (element) => element.getClientRects().length > 0
+    );
+};
+
+/**
+ * @prop {boolean} isOpen
+ *     Whether the modal is shown. It renders into document.body through a portal.
+ *
+ * @prop {string} title
+ *     Heading of the dialog, also used as its accessible name.
+ *
+ * @prop {function} onClose
+ *     Called by the close button, the cancel button, Escape and (when enabled) overlay clicks.
+ *
+ * @prop {boolean} closeOnEscape
+ *     Whether Escape closes the modal. Default is true. Only the topmost of stacked modals reacts.
+ *
+ * @prop {boolean} closeOnOverlayClick
+ *     Whether a click on the dimmed overlay closes the modal. Default is false.
+ *
+ * @prop {boolean} confirmOnClose
+ *     Whether closing while isDirty asks "Discard changes?" first. Default is false.
+ *
+ * @prop {boolean} isDirty
+ *     Whether the modal holds unsaved changes.
+ *
+ * @prop {function} onSubmit
+ *     May return a promise. While it is pending all buttons are disabled, the submit button shows a
+ *     spinner and the modal can't be closed; a rejection's message is shown inline. footerActions
+ *     onClick handlers are treated the same way.
+ *
+ * While open, focus moves into the modal and Tab cycles within it, the page behind is inert and
+ * doesn't scroll, and focus returns to the previously focused element on close.
+ */
 const Modal = ({
                    isOpen = false,
                    title = 'Modal',
@@ -20,47 +71,222 @@ const Modal = ({
                    cancelText = 'Cancel',
                    showSubmit = true,
                    showCancel = true,
+                   footerActions = [], // Extra footer buttons: [{ text, variant, onClick, disabled }]
+                   closeOnEscape = true,
+                   closeOnOverlayClick = false,
+                   confirmOnClose = false,
+                   isDirty = false,
+                   discardTitle = 'Discard changes?',
+                   discardMessage = 'Your unsaved changes will be lost.',
+                   discardText = 'Discard',
+                   keepEditingText = 'Keep editing',
                }) => {
+    const titleId = useId();
+    const overlayRef = useRef(null);
+    const containerRef = useRef(null);
+    // Overlay clicks only count when the press also started on the overlay, not when dragging out of the dialog
+    const overlayPressRef = useRef(false);
+    const isTopmost = useModalStack(isOpen, overlayRef);
+    const [isConfirmingClose, setIsConfirmingClose] = useState(false);
+    // Key of the footer button whose promise is pending ('submit' or the action's index), or null
+    const [pendingAction, setPendingAction] = useState(null);
+    const [actionError, setActionError] = useState('');
+    const isBusy = pendingAction !== null;
+
+    // Every way of closing goes through here: blocked while busy, confirmed when there are unsaved changes
+    const requestClose = () => {
+        if (isBusy) return;
+        if (confirmOnClose && isDirty) {
+            setIsConfirmingClose(true);
+            return;
+        }
+        onClose?.();
+    };
+
+    const handleDiscard = () => {
+        setIsConfirmingClose(false);
+        onClose?.();
+    };
+
+    // Runs a footer handler, keeping the modal busy until its promise settles
+    const runAction = async (key, action) => {
+        if (isBusy || !action) return;
+        setPendingAction(key);
+        setActionError('');
+        try {
+            await action();
+        } catch (error) {
+            setActionError(error?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    // Drop the confirmation step and any error once the modal closes
+    useEffect(() => {
+        if (isOpen) return;
+        setIsConfirmingClose(false);
+        setActionError('');
+    }, [isOpen]);
+
+    const requestCloseRef = useRef(requestClose);
+    requestCloseRef.current = requestClose;
+
+    // Move focus into the modal on open and give it back on close
+    useEffect(() => {
+        if (!isOpen) return;
+        const previouslyFocused = document.activeElement;
+        const container = containerRef.current;
+        const contentElement = container.querySelector('.modal-content');
+        const [firstInContent] = getFocusableElements(contentElement);
+        const [firstFocusable] = getFocusableElements(container);
+        (firstInContent || firstFocusable || container).focus();
+
+        return () => {
+            if (previouslyFocused?.isConnected) previouslyFocused.focus();
+        };
+    }, [isOpen]);
+
+    // Escape and the focus trap apply to the topmost modal only
+    useEffect(() => {
+        if (!isTopmost) return;
+
+        const handleKeyDown = (event) => {
+            // Let controls inside the modal use Escape first, e.g. to cancel a drag
+            if (event.key === 'Escape' && closeOnEscape && !event.defaultPrevented) {
+                event.preventDefault();
+                requestCloseRef.current();
+                return;
+            }
+            if (event.key !== 'Tab') return;
+
+            const container = containerRef.current;
+            const focusable = getFocusableElements(container);
+            if (!focusable.length) {
+                event.preventDefault();
+                container.focus();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isOutside = !container.contains(document.activeElement);
+            if (event.shiftKey && (document.activeElement === first || isOutside)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && (document.activeElement === last || isOutside)) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isTopmost, closeOnEscape]);
+
     if (!isOpen) return null;
 
-    return (
-        <>
-            <div className="modal-overlay">
-                <div className="modal-container">
-                    <div className="modal-header">
-                        <div className="modal-header-title">{title}</div>
-                        {showCloseIcon && (
-                            <div className="modal-header-btn">
-                                <X onClick={onClose} />
-                            </div>
-                        )}
-                    </div>
+    const spinner = <Loader2 size={16} className="modal-spinner" />;
 
-                    <div className="modal-content">{children}</div>
-
-                    {showFooter && (
-                        <div className="modal-footer">
-                            {showCancel && (
-                                <Button
-                                    text={cancelText}
-                                    type="button"
-                                    variant="secondary"
-                                    onClick={onClose}
-                                />
-                            )}
-                            {showSubmit && (
-                                <Button
-                                    text={submitText}
-                                    type="button"
-                                    variant="primary"
-                                    onClick={onSubmit}
-                                />
-                            )}
-                        </div>
+    const handleOverlayMouseDown = (event) => {
+        overlayPressRef.current = event.target === event.currentTarget;
+    };
+
+    const handleOverlayClick = (event) => {
+        if (closeOnOverlayClick && overlayPressRef.current && event.target === event.currentTarget) {
+            requestClose();
+        }
+        overlayPressRef.current = false;
+    };
+
+    return createPortal(
+        <div
+            ref={overlayRef}
+            className="modal-overlay"
+            onMouseDown={handleOverlayMouseDown}
+            onClick={handleOverlayClick}
+        >
+            <div
+                ref={containerRef}
+                className="modal-container"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={titleId}
+                tabIndex={-1}
+            >
+                <div className="modal-header">
+                    <h2 id={titleId} className="modal-header-title">{title}</h2>
+                    {showCloseIcon && (
+                        <button
+                            type="button"
+                            className="modal-header-btn"
+                            onClick={requestClose}
+                            disabled={isBusy}
+                            aria-label="Close"
+                        >
+                            <X aria-hidden="true" />
+                        </button>
                     )}
                 </div>
+
+                <div className="modal-content">{children}</div>
+
+                {actionError && (
+                    <div className="modal-error" role="alert">
+                        {actionError}
+                    </div>
+                )}
+
+                {showFooter && (
+                    <div className="modal-footer">
+                        {showCancel && (
+                            <Button
+                                text={cancelText}
+                                type="button"
+                                variant="secondary"
+                                disabled={isBusy}
+                                onClick={requestClose}
+                            />
+                        )}
+                        {footerActions.map((action, index) => (
+                            <Button
+                                key={action.text}
+                                text={action.text}
+                                type="button"
+                                variant={action.variant || 'secondary'}
+                                disabled={isBusy || action.disabled}
+                                icon={pendingAction === index ? spinner : null}
+                                onClick={() => runAction(index, action.onClick)}
+                            />
+                        ))}
+                        {showSubmit && (
+                            <Button
+                                text={submitText}
+                                type="button"
+                                variant="primary"
+                                disabled={isBusy}
+                                icon={pendingAction === 'submit' ? spinner : null}
+                                onClick={() => runAction('submit', onSubmit)}
+                            />
+                        )}
+                    </div>
+                )}
             </div>
-        </>
+
+            {/* Stacked on top, so it gets its own focus trap and Escape keeps editing */}
+            <Modal
+                isOpen={isOpen && isConfirmingClose}
+                title={discardTitle}
+                onClose={() => setIsConfirmingClose(false)}
+                onSubmit={handleDiscard}
+                showFooter={true}
+                showCloseIcon={false}
+                cancelText={keepEditingText}
+                submitText={discardText}
+            >
+                {discardMessage}
+            </Modal>
+        </div>,
+        document.body
     );
 };
 
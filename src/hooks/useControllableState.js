@@ -0,0 +1,28 @@
+import { useCallback, useRef, useState } from 'react';
+
+// State that the parent can own through value + onChange, or that stays internal when value is null/undefined.
+// The setter accepts a value or an updater function like useState's, and notifies onChange on every change.
+const useControllableState = (value, defaultValue, onChange) => {
+    const [internalValue, setInternalValue] = useState(defaultValue);
+    const isControlled = value !== undefined && value !== null;
+    const currentValue = isControlled ? value : internalValue;
+
+    // Latest value, so consecutive updates within one event build on each other
+    const valueRef = useRef(currentValue);
+    valueRef.current = currentValue;
+    const onChangeRef = useRef(onChange);
+    onChangeRef.current = onChange;
+
+    const setValue = useCallback((update) => {
+        const nextValue = typeof update === 'function' ? update(valueRef.current) : update;
+        if (Object.is(nextValue, valueRef.current)) return;
+        valueRef.current = nextValue;
+        // Kept in sync even when controlled, so dropping back to uncontrolled doesn't jump
+        setInternalValue(nextValue);
+        onChangeRef.current?.(nextValue);
+    }, []);
+
+    return [currentValue, setValue];
+};
+
+export default useControllableState;
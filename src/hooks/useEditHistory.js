@@ -0,0 +1,71 @@
+import { useCallback, useRef, useState } from 'react';
+
+const isSameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Undo/redo stack of editor snapshots. Callers commit snapshots explicitly, so they decide what counts
+// as one step (e.g. a whole drag). The first commit becomes the initial state that reset returns to.
+const useEditHistory = (onHistoryChange, limit = 100) => {
+    const pastRef = useRef([]);
+    const futureRef = useRef([]);
+    const presentRef = useRef(null);
+    const initialRef = useRef(null);
+    const [status, setStatus] = useState({ canUndo: false, canRedo: false });
+    const statusRef = useRef(status);
+    const onHistoryChangeRef = useRef(onHistoryChange);
+    onHistoryChangeRef.current = onHistoryChange;
+
+    const updateStatus = useCallback(() => {
+        const nextStatus = { canUndo: pastRef.current.length > 0, canRedo: futureRef.current.length > 0 };
+        if (isSameSnapshot(nextStatus, statusRef.current)) return;
+        statusRef.current = nextStatus;
+        setStatus(nextStatus);
+        onHistoryChangeRef.current?.(nextStatus);
+    }, []);
+
+    const commit = useCallback((snapshot) => {
+        if (presentRef.current === null) {
+            presentRef.current = snapshot;
+            initialRef.current = snapshot;
+            return;
+        }
+        if (isSameSnapshot(snapshot, presentRef.current)) return;
+        pastRef.current = [...pastRef.current, presentRef.current].slice(-limit);
+        futureRef.current = [];
+        presentRef.current = snapshot;
+        updateStatus();
+    }, [limit, updateStatus]);
+
+    // Both return the snapshot to apply, or null when there is nothing to step to
+    const undo = useCallback(() => {
+        if (!pastRef.current.length) return null;
+        futureRef.current = [presentRef.current, ...futureRef.current];
+        presentRef.current = pastRef.current[pastRef.current.length - 1];
+        pastRef.current = pastRef.current.slice(0, -1);
+        updateStatus();
+        return presentRef.current;
+    }, [updateStatus]);
+
+    const redo = useCallback(() => {
+        if (!futureRef.current.length) return null;
+        pastRef.current = [...pastRef.current, presentRef.current];
+        presentRef.current = futureRef.current[0];
+        futureRef.current = futureRef.current.slice(1);
+        updateStatus();
+        return presentRef.current;
+    }, [updateStatus]);
+
+    const getInitial = useCallback(() => initialRef.current, []);
+
+    // Forget everything, e.g. when a different image is loaded
+    const clear = useCallback(() => {
+        pastRef.current = [];
+        futureRef.current = [];
+        presentRef.current = null;
+        initialRef.current = null;
+        updateStatus();
+    }, [updateStatus]);
+
+    return { ...status, commit, undo, redo, getInitial, clear };
+};
+
+export default useEditHistory;
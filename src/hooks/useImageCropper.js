@@ -0,0 +1,185 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+//hooks
+import useControllableState from './useControllableState.js';
+
+//utils
+import {
+    INITIAL_CROP_STATE,
+    cropReducer,
+    getCropAspectRatio,
+    getCropLimits,
+    getCropQuality,
+    getDefaultCrop,
+    getLayout,
+    getMinSourceSize,
+    getSourceRect,
+    toPixelCrop,
+} from '../utils/cropEngine.js';
+
+/**
+ * Crop state and operations from utils/cropEngine.js, for building a crop UI. ImageCropper is one consumer;
+ * the hook itself renders nothing and doesn't touch the DOM.
+ *
+ * @param {Object} options
+ *     - width, height: {number} Canvas size in pixels.
+ *     - imageSize: {Object} Natural { width, height } of the image, or null while it loads.
+ *     - aspectRatio: {number|string|null} Number, 'original' or null for free-form.
+ *     - minZoom, maxZoom, maxStraighten: {number} Limits.
+ *     - snapThreshold: {number} Distance in canvas pixels within which snapping moves and resizes snap. Default is 0.
+ *     - enabled: {boolean} Whether there is a crop box to initialize and keep in bounds. Default is true.
+ *     - output, minOutputWidth, minOutputHeight, maxUpscale: As on ImageCropper; they set the smallest crop
+ *       resizing allows (see getMinSourceSize) and the quality report.
+ *     - warningUpscale: {number} Upscale factor above which the quality report flags the crop as low.
+ *     - crop, onCropChange, initialCrop, zoom, onZoomChange: As on ImageCropper.
+ *
+ * Returns the state (crop, zoom, pan, rotation, straighten, flipH, flipV), derived values (transform,
+ * aspectRatio, cropLimits, pixelCrop, layout, sourceRect, quality), dispatch(action) for any cropReducer action
+ * and shorthands for the common ones.
+ */
+const useImageCropper = ({
+    width,
+    height,
+    imageSize = null,
+    aspectRatio: aspectRatioSetting = null,
+    minZoom = 0.5,
+    maxZoom = 3,
+    maxStraighten = 45,
+    snapThreshold = 0,
+    enabled = true,
+    output,
+    minOutputWidth = 0,
+    minOutputHeight = 0,
+    maxUpscale = null,
+    warningUpscale = Infinity,
+    crop: cropProp,
+    onCropChange,
+    initialCrop,
+    zoom: zoomProp,
+    onZoomChange,
+}) => {
+    const [crop, setCrop] = useControllableState(cropProp, INITIAL_CROP_STATE.crop, onCropChange);
+    const [zoom, setZoom] = useControllableState(zoomProp, INITIAL_CROP_STATE.zoom, onZoomChange);
+    const [view, setView] = useState(() => {
+        const { pan, rotation, straighten, flipH, flipV } = INITIAL_CROP_STATE;
+        return { pan, rotation, straighten, flipH, flipV };
+    });
+    const { pan, rotation, straighten, flipH, flipV } = view;
+
+    const aspectRatio = getCropAspectRatio(aspectRatioSetting, imageSize, rotation);
+    // Kept by value, since an inline output object is new on every render
+    const { width: minSourceWidth, height: minSourceHeight } = getMinSourceSize({
+        minOutputWidth,
+        minOutputHeight,
+        maxUpscale,
+        output,
+        aspectRatio,
+        width,
+        height,
+    });
+    const config = useMemo(() => ({
+        width,
+        height,
+        imageSize,
+        aspectRatio,
+        minZoom,
+        maxZoom,
+        maxStraighten,
+        snapThreshold,
+        minSourceSize: { width: minSourceWidth, height: minSourceHeight },
+    }), [
+        width,
+        height,
+        imageSize,
+        aspectRatio,
+        minZoom,
+        maxZoom,
+        maxStraighten,
+        snapThreshold,
+        minSourceWidth,
+        minSourceHeight,
+    ]);
+    const state = useMemo(() => ({ crop, zoom, ...view }), [crop, zoom, view]);
+
+    // Latest state and config, so consecutive actions within one event build on each other
+    const stateRef = useRef(state);
+    stateRef.current = state;
+    const configRef = useRef(config);
+    configRef.current = config;
+
+    const dispatch = useCallback((action) => {
+        const prev = stateRef.current;
+        const next = cropReducer(prev, action, configRef.current);
+        if (next === prev) return;
+        stateRef.current = next;
+
+        if (next.crop !== prev.crop) setCrop(next.crop);
+        if (next.zoom !== prev.zoom) setZoom(next.zoom);
+        if (['pan', 'rotation', 'straighten', 'flipH', 'flipV'].some((key) => next[key] !== prev[key])) {
+            const { pan, rotation, straighten, flipH, flipV } = next;
+            setView({ pan, rotation, straighten, flipH, flipV });
+        }
+    }, [setCrop, setZoom]);
+
+    // The parent's crop or initialCrop is honored for the first canvas size; a new size resets the crop.
+    // Keyed on the size the crop was set for, since StrictMode runs mount effects twice with the same refs.
+    const startCropRef = useRef(cropProp || initialCrop);
+    const cropSizeRef = useRef(null);
+    useEffect(() => {
+        if (!enabled) return;
+        const previousSize = cropSizeRef.current;
+        if (previousSize?.width === width && previousSize?.height === height) return;
+        cropSizeRef.current = { width, height };
+        if (!previousSize && startCropRef.current) {
+            dispatch({ type: 'setCrop', crop: startCropRef.current });
+            return;
+        }
+        dispatch({ type: 'setCrop', crop: getDefaultCrop(configRef.current) });
+    }, [enabled, width, height, dispatch]);
+
+    // Reshape the crop when the aspect ratio changes, and keep it inside a straightened image
+    useEffect(() => {
+        if (enabled) dispatch({ type: 'clamp' });
+    }, [enabled, config, zoom, pan, rotation, straighten, dispatch]);
+
+    const transform = useMemo(() => ({ rotation, straighten, flipH, flipV }), [rotation, straighten, flipH, flipV]);
+    const pixelCrop = useMemo(() => toPixelCrop(crop, width, height), [crop, width, height]);
+    const layout = useMemo(() => getLayout(state, config), [state, config]);
+    const sourceRect = useMemo(() => getSourceRect(state, config), [state, config]);
+    const quality = useMemo(
+        () => getCropQuality(state, config, { output, warningUpscale }),
+        [state, config, output, warningUpscale]
+    );
+
+    const actions = useMemo(() => ({
+        setCrop: (newCrop) => dispatch({ type: 'setCrop', crop: newCrop }),
+        moveCrop: (dx, dy) => dispatch({ type: 'move', dx, dy }),
+        moveCropTo: (x, y, snap = false) => dispatch({ type: 'moveTo', x, y, snap }),
+        resizeCrop: (handle, x, y, snap = false) => dispatch({ type: 'resize', handle, x, y, snap }),
+        scaleCrop: (cropWidth) => dispatch({ type: 'scale', width: cropWidth }),
+        panBy: (dx, dy) => dispatch({ type: 'pan', dx, dy }),
+        zoomTo: (newZoom, anchorX, anchorY) => dispatch({ type: 'zoom', zoom: newZoom, anchorX, anchorY }),
+        fit: () => dispatch({ type: 'fit' }),
+        fill: () => dispatch({ type: 'fill' }),
+        rotate: (degrees) => dispatch({ type: 'rotate', degrees }),
+        setStraighten: (angle) => dispatch({ type: 'straighten', angle }),
+        flip: (axis) => dispatch({ type: 'flip', axis }),
+        reset: (resetCrop) => dispatch({ type: 'reset', crop: resetCrop }),
+        setState: (changes) => dispatch({ type: 'set', state: changes }),
+    }), [dispatch]);
+
+    return {
+        ...state,
+        transform,
+        aspectRatio,
+        cropLimits: getCropLimits(state, config),
+        pixelCrop,
+        layout,
+        sourceRect,
+        quality,
+        dispatch,
+        ...actions,
+    };
+};
+
+export default useImageCropper;
@@ -0,0 +1,74 @@
+import { useEffect, useId, useState } from 'react';
+
+// Open modals, bottom to top. Only the topmost one handles Escape and traps focus; everything
+// else on the page, lower modals included, is made inert while it is open.
+const modalStack = [];
+const stackListeners = new Set();
+let savedBodyStyle = null;
+
+const lockScroll = () => {
+    const { body, documentElement } = document;
+    savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+    // Keep the page from shifting sideways when its scrollbar disappears
+    const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+    body.style.overflow = 'hidden';
+    if (scrollbarWidth > 0) {
+        const currentPadding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+        body.style.paddingRight = `${currentPadding + scrollbarWidth}px`;
+    }
+};
+
+const unlockScroll = () => {
+    if (!savedBodyStyle) return;
+    document.body.style.overflow = savedBodyStyle.overflow;
+    document.body.style.paddingRight = savedBodyStyle.paddingRight;
+    savedBodyStyle = null;
+};
+
+// Marks every top-level element except the topmost modal as inert, undoing only what it set itself
+const updateInertElements = () => {
+    const topmost = modalStack[modalStack.length - 1];
+    Array.from(document.body.children).forEach((element) => {
+        const shouldBeInert = Boolean(topmost) && element !== topmost.element;
+        if (shouldBeInert && !element.inert) {
+            element.inert = true;
+            element.dataset.modalInert = 'true';
+        } else if (!shouldBeInert && element.dataset.modalInert) {
+            element.inert = false;
+            delete element.dataset.modalInert;
+        }
+    });
+};
+
+const notifyStackChange = () => {
+    updateInertElements();
+    stackListeners.forEach((listener) => listener());
+};
+
+// Registers an open modal whose portal root is elementRef, and returns whether it is the topmost one
+const useModalStack = (isOpen, elementRef) => {
+    const id = useId();
+    const [isTopmost, setIsTopmost] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        modalStack.push({ id, element: elementRef.current });
+        if (modalStack.length === 1) lockScroll();
+        const handleStackChange = () => setIsTopmost(modalStack[modalStack.length - 1]?.id === id);
+        stackListeners.add(handleStackChange);
+        notifyStackChange();
+
+        return () => {
+            const index = modalStack.findIndex((entry) => entry.id === id);
+            if (index !== -1) modalStack.splice(index, 1);
+            stackListeners.delete(handleStackChange);
+            if (!modalStack.length) unlockScroll();
+            notifyStackChange();
+        };
+    }, [isOpen, id, elementRef]);
+
+    return isOpen && isTopmost;
+};
+
+export default useModalStack;
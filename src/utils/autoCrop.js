@@ -0,0 +1,304 @@
+import { drawTransformedImage } from './imageCropperUtils.js';
+
+// Content-aware crop suggestions, computed in the browser from the pixels on the editor canvas.
+// Everything below suggestCrop works on plain { data, width, height } image data and is free of the DOM.
+
+// Longest side in pixels of the copy that is analyzed; saliency doesn't need more detail than this
+const ANALYSIS_SIZE = 160;
+// Side of the cells that local entropy is measured over
+const ENTROPY_CELL_SIZE = 8;
+
+export const DEFAULT_AUTO_CROP_OPTIONS = {
+    // Color distance from the border color under which a pixel counts as background
+    backgroundTolerance: 24,
+    // Extra weight for skin-colored pixels, e.g. 1 to favor faces and people; 0 turns it off
+    skinToneWeight: 0,
+    // How strongly larger crops are penalized, so the crop tightens around the subject
+    areaWeight: 0.3,
+    // How strongly detail on the crop's rim is penalized, so the crop avoids cutting through the subject
+    edgeWeight: 0.5,
+    // How strongly the crop is pulled towards the center of the saliency, which also settles ties
+    centerWeight: 0.1,
+    // Smallest crop tried, as a fraction of the largest crop that fits
+    minScale: 0.4,
+};
+
+const getPixelIndex = (x, y, width) => (y * width + x) * 4;
+
+const getLuminance = (data, index) => 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+
+// Classic RGB skin-tone rule; crude, but cheap and good enough as a weighting hint
+export const isSkinTone = (r, g, b) => {
+    const spread = Math.max(r, g, b) - Math.min(r, g, b);
+    return r > 95 && g > 40 && b > 20 && spread > 15 && r - g > 15 && r > b;
+};
+
+// Median color of the outermost pixel ring, taken as the background color
+const getBorderColor = ({ data, width, height }) => {
+    const channels = [[], [], []];
+    const addPixel = (x, y) => {
+        const index = getPixelIndex(x, y, width);
+        channels.forEach((values, channel) => values.push(data[index + channel]));
+    };
+    for (let x = 0; x < width; x++) {
+        addPixel(x, 0);
+        addPixel(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        addPixel(0, y);
+        addPixel(width - 1, y);
+    }
+    return channels.map((values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)]);
+};
+
+/**
+ * Trims a uniform background from the sides of an image: rows and columns whose pixels (nearly all) match the
+ * border color within tolerance are cut off. Returns the remaining { x, y, width, height }, or the whole image
+ * when it is uniform.
+ */
+export const findContentBounds = (imageData, tolerance = DEFAULT_AUTO_CROP_OPTIONS.backgroundTolerance) => {
+    const { data, width, height } = imageData;
+    const [bgR, bgG, bgB] = getBorderColor(imageData);
+    // Allows a few stray pixels, e.g. JPEG noise, in an otherwise empty line
+    const maxForeground = 0.02;
+
+    const isBackground = (x, y) => {
+        const index = getPixelIndex(x, y, width);
+        return Math.abs(data[index] - bgR) + Math.abs(data[index + 1] - bgG) + Math.abs(data[index + 2] - bgB)
+            <= tolerance * 3;
+    };
+    const isEmptyRow = (y) => {
+        let foreground = 0;
+        for (let x = 0; x < width; x++) if (!isBackground(x, y)) foreground++;
+        return foreground / width <= maxForeground;
+    };
+    const isEmptyColumn = (x, top, bottom) => {
+        let foreground = 0;
+        for (let y = top; y <= bottom; y++) if (!isBackground(x, y)) foreground++;
+        return foreground / (bottom - top + 1) <= maxForeground;
+    };
+
+    let top = 0;
+    let bottom = height - 1;
+    while (top < bottom && isEmptyRow(top)) top++;
+    while (bottom > top && isEmptyRow(bottom)) bottom--;
+    if (top >= bottom) return { x: 0, y: 0, width, height };
+
+    let left = 0;
+    let right = width - 1;
+    while (left < right && isEmptyColumn(left, top, bottom)) left++;
+    while (right > left && isEmptyColumn(right, top, bottom)) right--;
+
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+/**
+ * Per-pixel interest of an image, from 0 upwards: edge strength (Sobel gradient of the luminance) plus local
+ * entropy of the luminance, plus skinToneWeight for skin-colored pixels. Pixels outside `bounds` (see
+ * findContentBounds) are background and score 0.
+ */
+export const getSaliencyMap = (imageData, { bounds, skinToneWeight = 0 } = {}) => {
+    const { data, width, height } = imageData;
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) luminance[i] = getLuminance(data, i * 4);
+
+    // Edge strength, normalized so the strongest edge is 1
+    const edges = new Float32Array(width * height);
+    let maxEdge = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const at = (dx, dy) => luminance[(y + dy) * width + x + dx];
+            const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+            const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+            const magnitude = Math.hypot(gx, gy);
+            edges[y * width + x] = magnitude;
+            maxEdge = Math.max(maxEdge, magnitude);
+        }
+    }
+
+    // Entropy of a 16-bin luminance histogram per cell, normalized to 0..1
+    const columns = Math.ceil(width / ENTROPY_CELL_SIZE);
+    const rows = Math.ceil(height / ENTROPY_CELL_SIZE);
+    const entropy = new Float32Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const histogram = new Array(16).fill(0);
+            let count = 0;
+            const yEnd = Math.min(height, (row + 1) * ENTROPY_CELL_SIZE);
+            const xEnd = Math.min(width, (column + 1) * ENTROPY_CELL_SIZE);
+            for (let y = row * ENTROPY_CELL_SIZE; y < yEnd; y++) {
+                for (let x = column * ENTROPY_CELL_SIZE; x < xEnd; x++) {
+                    histogram[Math.min(15, Math.floor(luminance[y * width + x] / 16))]++;
+                    count++;
+                }
+            }
+            entropy[row * columns + column] = histogram.reduce((sum, binCount) => {
+                if (!binCount) return sum;
+                const p = binCount / count;
+                return sum - p * Math.log2(p);
+            }, 0) / 4;
+        }
+    }
+
+    const { x: left = 0, y: top = 0, width: boundsWidth = width, height: boundsHeight = height } = bounds || {};
+    const saliency = new Float32Array(width * height);
+    for (let y = top; y < top + boundsHeight; y++) {
+        for (let x = left; x < left + boundsWidth; x++) {
+            const index = y * width + x;
+            const cell = Math.floor(y / ENTROPY_CELL_SIZE) * columns + Math.floor(x / ENTROPY_CELL_SIZE);
+            let value = 0.6 * (maxEdge ? edges[index] / maxEdge : 0) + 0.4 * entropy[cell];
+            if (skinToneWeight) {
+                const pixel = index * 4;
+                if (isSkinTone(data[pixel], data[pixel + 1], data[pixel + 2])) value += skinToneWeight;
+            }
+            saliency[index] = value;
+        }
+    }
+    return saliency;
+};
+
+// Summed-area table of a width x height map, with a leading row and column of zeros
+export const createIntegralImage = (values, width, height) => {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += values[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+    return integral;
+};
+
+// Sum of the map over a rectangle, in constant time; coordinates are rounded to whole pixels
+export const sumRect = (integral, width, rect) => {
+    const stride = width + 1;
+    const x1 = Math.round(rect.x);
+    const y1 = Math.round(rect.y);
+    const x2 = Math.round(rect.x + rect.width);
+    const y2 = Math.round(rect.y + rect.height);
+    return integral[y2 * stride + x2] - integral[y1 * stride + x2] - integral[y2 * stride + x1] +
+        integral[y1 * stride + x1];
+};
+
+/**
+ * Scores a candidate crop rect against a saliency map's integral image; higher is better.
+ * The score rewards the share of all saliency inside the crop, and subtracts areaWeight times the share of
+ * the image the crop covers, edgeWeight times the share of saliency on its rim (a band 5% of its shorter
+ * side wide), which is high when the crop cuts through the subject, and centerWeight times the distance from
+ * the crop's center to the saliency's center of mass, relative to the image diagonal.
+ *
+ * @param {Object} stats { integral, width, height, total, centerX, centerY } of the saliency map.
+ */
+export const scoreCrop = (rect, stats, options = DEFAULT_AUTO_CROP_OPTIONS) => {
+    const { areaWeight, edgeWeight, centerWeight } = options;
+    const { integral, width, height, total, centerX, centerY } = stats;
+    if (!total) return 0;
+
+    const inside = sumRect(integral, width, rect);
+    const band = Math.max(1, Math.round(Math.min(rect.width, rect.height) * 0.05));
+    const inner = {
+        x: rect.x + band,
+        y: rect.y + band,
+        width: Math.max(0, rect.width - band * 2),
+        height: Math.max(0, rect.height - band * 2),
+    };
+    const rim = inside - sumRect(integral, width, inner);
+
+    const centerDistance = Math.hypot(rect.x + rect.width / 2 - centerX, rect.y + rect.height / 2 - centerY);
+
+    return inside / total -
+        areaWeight * ((rect.width * rect.height) / (width * height)) -
+        edgeWeight * (rim / total) -
+        centerWeight * (centerDistance / Math.hypot(width, height));
+};
+
+/**
+ * Finds the best crop with the given aspect ratio inside region (both in imageData pixels) by scoring
+ * candidates of several sizes on a grid of positions. A null aspectRatio uses the ratio of the trimmed content.
+ * Returns { x, y, width, height }, or null when the image has no detail to go by.
+ */
+export const findBestCrop = (imageData, aspectRatio, region, options = {}) => {
+    const settings = { ...DEFAULT_AUTO_CROP_OPTIONS, ...options };
+    const { width, height } = imageData;
+    const bounds = findContentBounds(imageData, settings.backgroundTolerance);
+    const saliency = getSaliencyMap(imageData, { bounds, skinToneWeight: settings.skinToneWeight });
+    const integral = createIntegralImage(saliency, width, height);
+    const total = sumRect(integral, width, { x: 0, y: 0, width, height });
+    if (!total) return null;
+
+    // Center of mass of the saliency
+    let weightedX = 0;
+    let weightedY = 0;
+    saliency.forEach((value, index) => {
+        weightedX += value * (index % width);
+        weightedY += value * Math.floor(index / width);
+    });
+    const stats = { integral, width, height, total, centerX: weightedX / total, centerY: weightedY / total };
+
+    const ratio = aspectRatio || bounds.width / bounds.height;
+    const maxWidth = Math.min(region.width, region.height * ratio);
+    const step = Math.max(1, Math.round(Math.min(region.width, region.height) / 20));
+
+    let best = null;
+    for (let scale = 1; scale >= settings.minScale - 1e-9; scale -= 0.1) {
+        const cropWidth = maxWidth * scale;
+        const cropHeight = cropWidth / ratio;
+        for (let y = region.y; y <= region.y + region.height - cropHeight + 1e-9; y += step) {
+            for (let x = region.x; x <= region.x + region.width - cropWidth + 1e-9; x += step) {
+                const rect = { x, y, width: cropWidth, height: cropHeight };
+                const score = scoreCrop(rect, stats, settings);
+                if (!best || score > best.score) best = { score, rect };
+            }
+        }
+    }
+    return best?.rect ?? null;
+};
+
+/**
+ * Suggests a crop for the image as it is shown on the editor canvas, i.e. with its current zoom, pan,
+ * rotation, flips and straighten. Returns a crop in canvas pixels, or null when nothing stands out.
+ *
+ * @param {Object} options
+ *     - width, height: {number} Canvas size in pixels.
+ *     - layout, transform: Placement of the image (see getImageLayout and drawTransformedImage).
+ *     - source: Image or canvas to draw in place of image, e.g. an adjusted copy.
+ *     - aspectRatio: {number|null} Aspect ratio of the crop; null for free-form.
+ *     - backgroundColor: {string} Color of the canvas around the image.
+ *     - any of DEFAULT_AUTO_CROP_OPTIONS.
+ */
+export const suggestCrop = (image, options) => {
+    const { width, height, layout, transform, source = image, aspectRatio, backgroundColor = '#ffffff' } = options;
+    const scale = Math.min(1, ANALYSIS_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.scale(scale, scale);
+    ctx.fillStyle = backgroundColor;
+    ctx.fillRect(0, 0, width, height);
+    drawTransformedImage(ctx, image, layout, transform, source);
+
+    // Keep the crop on the visible part of the image rather than on the empty canvas around it
+    const left = Math.max(0, layout.x * scale);
+    const top = Math.max(0, layout.y * scale);
+    const imageRegion = {
+        x: left,
+        y: top,
+        width: Math.min(canvas.width, (layout.x + layout.width) * scale) - left,
+        height: Math.min(canvas.height, (layout.y + layout.height) * scale) - top,
+    };
+    const region = imageRegion.width >= 1 && imageRegion.height >= 1
+        ? imageRegion
+        : { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const crop = findBestCrop(imageData, aspectRatio || null, region, options);
+    if (!crop) return null;
+    return {
+        x: crop.x / scale,
+        y: crop.y / scale,
+        width: crop.width / scale,
+        height: crop.height / scale,
+    };
+};
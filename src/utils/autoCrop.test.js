@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    createIntegralImage,
+    findBestCrop,
+    findContentBounds,
+    getSaliencyMap,
+    isSkinTone,
+    scoreCrop,
+    sumRect,
+} from './autoCrop.js';
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+const GRAY = [128, 128, 128];
+const SKIN_LIGHT = [224, 172, 105];
+const SKIN_DARK = [170, 110, 70];
+
+// Plain { data, width, height } image data filled with one color
+const createImage = (width, height, color = WHITE) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) data.set([...color, 255], i * 4);
+    return { data, width, height };
+};
+
+// Paints a 2px checkerboard of two colors into rect, a textured subject with plenty of edges
+const paintSubject = (image, rect, colors = [BLACK, GRAY]) => {
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            const color = colors[(Math.floor(x / 2) + Math.floor(y / 2)) % 2];
+            image.data.set([...color, 255], (y * image.width + x) * 4);
+        }
+    }
+    return image;
+};
+
+const contains = (crop, rect) => {
+    return crop.x <= rect.x &&
+        crop.y <= rect.y &&
+        crop.x + crop.width >= rect.x + rect.width &&
+        crop.y + crop.height >= rect.y + rect.height;
+};
+
+const getStats = (values, width, height) => {
+    const integral = createIntegralImage(values, width, height);
+    const total = sumRect(integral, width, { x: 0, y: 0, width, height });
+    return { integral, width, height, total, centerX: width / 2, centerY: height / 2 };
+};
+
+describe('findContentBounds', () => {
+    it('trims a uniform background to the subject', () => {
+        const subject = { x: 30, y: 20, width: 20, height: 30 };
+        expect(findContentBounds(paintSubject(createImage(100, 80), subject))).toEqual(subject);
+    });
+
+    it('trims any border color, within tolerance', () => {
+        const image = paintSubject(createImage(60, 60, [20, 40, 200]), { x: 10, y: 5, width: 30, height: 20 });
+        expect(findContentBounds(image)).toEqual({ x: 10, y: 5, width: 30, height: 20 });
+
+        const faintColors = [[250, 250, 250], [245, 245, 245]];
+        const faint = paintSubject(createImage(60, 60), { x: 10, y: 5, width: 30, height: 20 }, faintColors);
+        expect(findContentBounds(faint)).toEqual({ x: 0, y: 0, width: 60, height: 60 });
+    });
+
+    it('keeps a uniform image whole', () => {
+        expect(findContentBounds(createImage(40, 30))).toEqual({ x: 0, y: 0, width: 40, height: 30 });
+    });
+});
+
+describe('getSaliencyMap', () => {
+    it('scores detail and leaves plain areas and pixels outside the bounds at 0', () => {
+        const subject = { x: 20, y: 20, width: 16, height: 16 };
+        const image = paintSubject(createImage(64, 64), subject);
+        const saliency = getSaliencyMap(image, { bounds: subject });
+
+        expect(saliency[28 * 64 + 28]).toBeGreaterThan(0);
+        expect(saliency[4 * 64 + 4]).toBe(0);
+        expect(saliency[28 * 64 + 60]).toBe(0);
+    });
+
+    it('adds skinToneWeight to skin-colored pixels', () => {
+        const image = createImage(16, 16, SKIN_LIGHT);
+        expect(getSaliencyMap(image)[8 * 16 + 8]).toBe(0);
+        expect(getSaliencyMap(image, { skinToneWeight: 2 })[8 * 16 + 8]).toBe(2);
+    });
+});
+
+describe('isSkinTone', () => {
+    it('accepts skin colors and rejects gray, blue and green', () => {
+        expect(isSkinTone(...SKIN_LIGHT)).toBe(true);
+        expect(isSkinTone(...SKIN_DARK)).toBe(true);
+        expect(isSkinTone(...GRAY)).toBe(false);
+        expect(isSkinTone(40, 60, 200)).toBe(false);
+        expect(isSkinTone(60, 180, 60)).toBe(false);
+    });
+});
+
+describe('integral image', () => {
+    it('sums rectangles', () => {
+        const values = [1, 2, 3, 4, 5, 6];
+        const integral = createIntegralImage(values, 3, 2);
+        expect(sumRect(integral, 3, { x: 0, y: 0, width: 3, height: 2 })).toBe(21);
+        expect(sumRect(integral, 3, { x: 1, y: 0, width: 2, height: 2 })).toBe(16);
+        expect(sumRect(integral, 3, { x: 0, y: 1, width: 1, height: 1 })).toBe(4);
+    });
+});
+
+describe('scoreCrop', () => {
+    const options = { areaWeight: 0.3, edgeWeight: 0.5, centerWeight: 0 };
+    // A 10 x 10 map with all of its interest in the 4 x 4 block at (3, 3)
+    const values = Array.from({ length: 100 }, (_, index) => {
+        const x = index % 10;
+        const y = Math.floor(index / 10);
+        return x >= 3 && x < 7 && y >= 3 && y < 7 ? 1 : 0;
+    });
+    const stats = getStats(values, 10, 10);
+
+    it('prefers crops that hold the subject', () => {
+        const around = scoreCrop({ x: 2, y: 2, width: 6, height: 6 }, stats, options);
+        const beside = scoreCrop({ x: 0, y: 0, width: 3, height: 3 }, stats, options);
+        expect(around).toBeGreaterThan(beside);
+    });
+
+    it('penalizes extra area and cutting through the subject', () => {
+        const around = scoreCrop({ x: 2, y: 2, width: 6, height: 6 }, stats, options);
+        const whole = scoreCrop({ x: 0, y: 0, width: 10, height: 10 }, stats, options);
+        const cut = scoreCrop({ x: 2, y: 2, width: 3, height: 3 }, stats, options);
+        expect(around).toBeGreaterThan(whole);
+        expect(around).toBeGreaterThan(cut);
+    });
+
+    it('is 0 for a map without interest', () => {
+        expect(scoreCrop({ x: 0, y: 0, width: 5, height: 5 }, getStats(new Array(100).fill(0), 10, 10))).toBe(0);
+    });
+});
+
+describe('findBestCrop', () => {
+    const subject = { x: 70, y: 15, width: 20, height: 20 };
+    const image = paintSubject(createImage(120, 80), subject);
+    const region = { x: 0, y: 0, width: 120, height: 80 };
+
+    it('encloses an off-center subject with a fixed aspect ratio', () => {
+        const crop = findBestCrop(image, 1.5, region);
+        expect(crop.width / crop.height).toBeCloseTo(1.5, 6);
+        expect(contains(crop, subject)).toBe(true);
+        expect(contains(region, crop)).toBe(true);
+    });
+
+    it('encloses the subject with the content ratio when the ratio is free', () => {
+        const crop = findBestCrop(image, null, region);
+        expect(crop.width / crop.height).toBeCloseTo(1, 6);
+        expect(contains(crop, subject)).toBe(true);
+        // Much tighter than the image
+        expect(crop.width).toBeLessThan(60);
+    });
+
+    it('stays inside the region', () => {
+        const narrow = { x: 40, y: 0, width: 80, height: 80 };
+        const crop = findBestCrop(image, 1, narrow);
+        expect(contains(narrow, crop)).toBe(true);
+        expect(contains(crop, subject)).toBe(true);
+    });
+
+    it('returns null for a blank image', () => {
+        expect(findBestCrop(createImage(80, 60), 1, { x: 0, y: 0, width: 80, height: 60 })).toBeNull();
+    });
+
+    it('moves towards skin-colored pixels with skinToneWeight', () => {
+        // Same texture on both sides; the right one in skin colors, which has less contrast
+        const portrait = createImage(160, 60);
+        paintSubject(portrait, { x: 10, y: 20, width: 20, height: 20 });
+        paintSubject(portrait, { x: 130, y: 20, width: 20, height: 20 }, [SKIN_LIGHT, SKIN_DARK]);
+        const portraitRegion = { x: 0, y: 0, width: 160, height: 60 };
+        const getCenterX = (crop) => crop.x + crop.width / 2;
+
+        expect(getCenterX(findBestCrop(portrait, 1, portraitRegion))).toBeLessThan(80);
+        const crop = findBestCrop(portrait, 1, portraitRegion, { skinToneWeight: 1 });
+        expect(getCenterX(crop)).toBeGreaterThan(80);
+        expect(contains(crop, { x: 130, y: 20, width: 20, height: 20 })).toBe(true);
+    });
+});
@@ -0,0 +1,149 @@
+// Color picking for the background color: sampling rendered pixels, the native EyeDropper and a suggested
+// color from the image's edges
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+// Hex string such as '#1a2b3c' for 0-255 channel values
+export const toHexColor = (r, g, b) => {
+    return `#${[r, g, b].map((value) => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Average color of the mostly opaque pixels in RGBA data as a hex string, or null when there are none
+export const averageColor = (data) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        r += data[i];
+        g += data[i + 1];
+        b += data[i + 2];
+        count++;
+    }
+    return count ? toHexColor(r / count, g / count, b / count) : null;
+};
+
+// Whether the pixels of an image or canvas can be read back. A cross-origin image served without CORS
+// headers taints any canvas it is drawn on, and reading a tainted canvas throws a SecurityError.
+export const canReadPixels = (source) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, 1, 1);
+    try {
+        ctx.getImageData(0, 0, 1, 1);
+        return true;
+    } catch (error) {
+        if (error?.name === 'SecurityError') return false;
+        throw error;
+    }
+};
+
+// Average color of the square of (2 * radius + 1) pixels around (x, y), all in the canvas's own pixels.
+// Averaging keeps noise and compression artifacts from deciding the color.
+export const sampleCanvasColor = (canvas, x, y, radius = 0) => {
+    const left = clamp(Math.round(x - radius), 0, canvas.width - 1);
+    const top = clamp(Math.round(y - radius), 0, canvas.height - 1);
+    const right = clamp(Math.round(x + radius), left, canvas.width - 1);
+    const bottom = clamp(Math.round(y + radius), top, canvas.height - 1);
+    const { data } = canvas.getContext('2d').getImageData(left, top, right - left + 1, bottom - top + 1);
+    return averageColor(data);
+};
+
+// Draws a magnified view of the source canvas around (x, y) into the loupe canvas. zoom is loupe pixels per
+// source pixel; nearest-neighbor scaling keeps single pixels visible. The sampleSize square the color is
+// averaged over is outlined in the middle.
+export const drawLoupe = (loupe, source, x, y, { zoom = 8, sampleSize = 1 } = {}) => {
+    const ctx = loupe.getContext('2d');
+    const regionWidth = loupe.width / zoom;
+    const regionHeight = loupe.height / zoom;
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, loupe.width, loupe.height);
+    ctx.drawImage(
+        source,
+        x - regionWidth / 2,
+        y - regionHeight / 2,
+        regionWidth,
+        regionHeight,
+        0,
+        0,
+        loupe.width,
+        loupe.height
+    );
+
+    // Light outline with a dark edge, visible on any color
+    const outline = Math.max(2, sampleSize * zoom);
+    const outlineX = (loupe.width - outline) / 2;
+    const outlineY = (loupe.height - outline) / 2;
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.strokeRect(outlineX - 1, outlineY - 1, outline + 2, outline + 2);
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeRect(outlineX, outlineY, outline, outline);
+};
+
+/**
+ * Most common color along the edges of an image, e.g. as a letterboxing background that blends in.
+ * Colors are grouped into coarse buckets so slight gradients and noise still count as one color.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {Object} options
+ *     - size: {number} Longest side in pixels the image is scaled down to first. Default is 64.
+ *     - border: {number} Width in pixels of the edge band at that size. Default is 2.
+ *
+ * Returns a hex color, or null when the edges are transparent or the image is cross-origin and can't be read.
+ */
+export const getDominantEdgeColor = (source, { size = 64, border = 2 } = {}) => {
+    const scale = Math.min(1, size / Math.max(source.width, source.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * scale));
+    canvas.height = Math.max(1, Math.round(source.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    let data;
+    try {
+        ({ data } = ctx.getImageData(0, 0, canvas.width, canvas.height));
+    } catch (error) {
+        if (error?.name === 'SecurityError') return null;
+        throw error;
+    }
+
+    // 4 bits per channel
+    const buckets = new Map();
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            const isEdge = x < border || y < border || x >= canvas.width - border || y >= canvas.height - border;
+            const i = (y * canvas.width + x) * 4;
+            if (!isEdge || data[i + 3] < 128) continue;
+            const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+            const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += data[i];
+            bucket.g += data[i + 1];
+            bucket.b += data[i + 2];
+            buckets.set(key, bucket);
+        }
+    }
+
+    let best = null;
+    buckets.forEach((bucket) => {
+        if (!best || bucket.count > best.count) best = bucket;
+    });
+    return best ? toHexColor(best.r / best.count, best.g / best.count, best.b / best.count) : null;
+};
+
+// Whether the browser has the EyeDropper API, which picks colors from anywhere on screen
+export const isEyeDropperSupported = () => typeof window !== 'undefined' && 'EyeDropper' in window;
+
+// Opens the native screen color picker. Resolves to a hex color, or null when the user cancels.
+export const pickScreenColor = async () => {
+    try {
+        const { sRGBHex } = await new window.EyeDropper().open();
+        return sRGBHex;
+    } catch (error) {
+        if (error?.name === 'AbortError') return null;
+        throw error;
+    }
+};
@@ -0,0 +1,514 @@
+import {
+    calculateCropArea,
+    clampPan,
+    clampZoom,
+    conformCropToAspectRatio,
+    fitCropInRotatedImage,
+    getAnchoredPan,
+    getCropHandles,
+    getCropWidthLimits,
+    getFillZoom,
+    getHandleEdgePoint,
+    getHandleHitSize,
+    getImageLayout,
+    getOrientedImageSize,
+    getOutputSize,
+    getSourceCropRect,
+    isCropInsideRotatedImage,
+    isPointInCropShape,
+    resolveAspectRatio,
+} from './imageCropperUtils.js';
+
+// The crop math behind ImageCropper, free of React, DOM and canvas: plain state goes in, new state comes out.
+//
+// state:  { crop, zoom, pan, rotation, straighten, flipH, flipV }
+//         crop is { x, y, width, height } in percent of the canvas; pan offsets the image center from the
+//         canvas center in canvas pixels; rotation is in 90° steps, straighten in degrees.
+// config: { width, height, imageSize, aspectRatio, minZoom, maxZoom, maxStraighten, snapThreshold, minSourceSize }
+//         canvas size in pixels, the natural { width, height } of the image (null while it loads), the crop's
+//         resolved aspect ratio (null for free-form), the zoom and straighten limits, the distance in canvas
+//         pixels within which dragged crop edges snap (0 turns snapping off) and the smallest { width, height }
+//         in source pixels that resizing may shrink the crop to (see getMinSourceSize).
+
+export const INITIAL_CROP_STATE = {
+    crop: { x: 0, y: 0, width: 50, height: 50 },
+    zoom: 1,
+    pan: { x: 0, y: 0 },
+    rotation: 0,
+    straighten: 0,
+    flipH: false,
+    flipV: false,
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+// Converts a percentage crop to canvas pixels
+export const toPixelCrop = (crop, width, height) => {
+    return {
+        x: (crop.x / 100) * width,
+        y: (crop.y / 100) * height,
+        width: (crop.width / 100) * width,
+        height: (crop.height / 100) * height,
+    };
+};
+
+// Converts a crop in canvas pixels to percent of the canvas
+export const toPercentCrop = (pixelCrop, width, height) => {
+    return {
+        x: (pixelCrop.x / width) * 100,
+        y: (pixelCrop.y / height) * 100,
+        width: (pixelCrop.width / width) * 100,
+        height: (pixelCrop.height / height) * 100,
+    };
+};
+
+// Resolves an aspect ratio setting; 'original' follows the image as displayed, so quarter turns swap its sides
+export const getCropAspectRatio = (aspectRatio, imageSize, rotation = 0) => {
+    const orientedSize = imageSize && getOrientedImageSize(imageSize, rotation);
+    return resolveAspectRatio(aspectRatio, orientedSize?.width, orientedSize?.height);
+};
+
+// Crop size limits in canvas pixels. A minSourceSize is converted at the current zoom, so zooming in raises it.
+export const getCropLimits = (state, config) => {
+    const { width, height, aspectRatio, minSourceSize } = config;
+    const layout = minSourceSize && getLayout(state, config);
+    if (!layout) return getCropWidthLimits(width, height, aspectRatio);
+    return getCropWidthLimits(width, height, aspectRatio, {
+        width: minSourceSize.width * layout.scale,
+        height: minSourceSize.height * layout.scale,
+    });
+};
+
+/**
+ * Smallest crop in source pixels that keeps the output sharp enough.
+ *
+ * @param {Object} options
+ *     - minOutputWidth, minOutputHeight: {number} Output size that has to be reachable without upscaling more
+ *       than maxUpscale, or at all when maxUpscale isn't set.
+ *     - maxUpscale: {number} Largest factor the output may enlarge the crop's source pixels by.
+ *     - output: {Object|string} The output prop. Only sizes that don't depend on the crop (a fixed width or
+ *       height, or fitting the canvas with a locked ratio) are limited by maxUpscale.
+ *     - aspectRatio: {number|null} Resolved crop aspect ratio.
+ *     - width, height: {number} Canvas size in pixels.
+ */
+export const getMinSourceSize = ({
+    minOutputWidth = 0,
+    minOutputHeight = 0,
+    maxUpscale = null,
+    output,
+    aspectRatio,
+    width,
+    height,
+}) => {
+    let minWidth = minOutputWidth / (maxUpscale || 1);
+    let minHeight = minOutputHeight / (maxUpscale || 1);
+
+    if (maxUpscale) {
+        let target = null;
+        if (output?.width || output?.height) {
+            target = output;
+        } else if (!output && aspectRatio) {
+            const fitWidth = Math.min(width, height * aspectRatio);
+            target = { width: fitWidth, height: fitWidth / aspectRatio };
+        }
+        minWidth = Math.max(minWidth, (target?.width || 0) / maxUpscale);
+        minHeight = Math.max(minHeight, (target?.height || 0) / maxUpscale);
+    }
+
+    // A locked ratio ties both sides together
+    if (aspectRatio) {
+        minWidth = Math.max(minWidth, minHeight * aspectRatio);
+        minHeight = minWidth / aspectRatio;
+    }
+    return { width: minWidth, height: minHeight };
+};
+
+/**
+ * Quality report for the crop's output, or null until the image size is known:
+ *     - sourceWidth, sourceHeight: Crop size in source pixels.
+ *     - outputWidth, outputHeight: Size of the exported image.
+ *     - upscale: How much the output enlarges the source pixels; 1 or less means no upscaling.
+ *     - meetsMinimum: Whether the crop holds at least config.minSourceSize, which zooming in can undercut.
+ *     - isLow: Whether the minimum is missed or upscale exceeds warningUpscale.
+ */
+export const getCropQuality = (state, config, { output, warningUpscale = Infinity } = {}) => {
+    const sourceRect = getSourceRect(state, config);
+    if (!sourceRect) return null;
+    const { srcWidth, srcHeight } = sourceRect;
+    const { width: outputWidth, height: outputHeight } = getOutputSize(
+        output,
+        srcWidth,
+        srcHeight,
+        config.width,
+        config.height
+    );
+    const upscale = Math.round(Math.max(outputWidth / srcWidth, outputHeight / srcHeight) * 100) / 100;
+    const { minSourceSize } = config;
+    // Half a pixel of slack for rounding at the limit
+    const meetsMinimum = !minSourceSize ||
+        (srcWidth >= minSourceSize.width - 0.5 && srcHeight >= minSourceSize.height - 0.5);
+
+    return {
+        sourceWidth: Math.round(srcWidth),
+        sourceHeight: Math.round(srcHeight),
+        outputWidth,
+        outputHeight,
+        upscale,
+        meetsMinimum,
+        isLow: !meetsMinimum || upscale > warningUpscale,
+    };
+};
+
+// Centered crop covering half of the canvas
+export const getDefaultCrop = ({ width, height, aspectRatio }) => {
+    return toPercentCrop(calculateCropArea(width * 0.5, width, height, aspectRatio, height * 0.5), width, height);
+};
+
+// On-canvas placement of the image for the state's zoom, pan and rotation, or null until the image size is known
+export const getLayout = (state, config) => {
+    if (!config.imageSize) return null;
+    return getImageLayout(config.imageSize, config.width, config.height, state.zoom, state.rotation, state.pan);
+};
+
+// A straightened image leaves empty corners, so the crop has to stay inside it
+export const isCropAllowed = (pixelCrop, straighten, layout) => {
+    if (!straighten || !layout) return true;
+    return isCropInsideRotatedImage(pixelCrop, layout, straighten);
+};
+
+// Crop rectangle in source image pixels (see getSourceCropRect), or null until the image size is known
+export const getSourceRect = (state, config) => {
+    if (!config.imageSize) return null;
+    const { crop, zoom, pan, rotation, straighten } = state;
+    const { width, height, imageSize } = config;
+    const pixelCrop = toPixelCrop(crop, width, height);
+    return getSourceCropRect(pixelCrop, imageSize, width, height, zoom, { rotation, straighten }, pan);
+};
+
+// Moves a pixel crop by (dx, dy), keeping it on the canvas
+export const movePixelCrop = (pixelCrop, dx, dy, width, height) => {
+    return {
+        ...pixelCrop,
+        x: clamp(pixelCrop.x + dx, 0, width - pixelCrop.width),
+        y: clamp(pixelCrop.y + dy, 0, height - pixelCrop.height),
+    };
+};
+
+// Scales a pixel crop up around its center to the minimum size in limits (see getCropLimits), as far as the
+// canvas allows, keeping its shape and keeping it on the canvas. E.g. for a suggested crop, which resizing
+// could not have made that small.
+export const growPixelCropToLimits = (pixelCrop, limits, width, height) => {
+    const scale = Math.min(
+        Math.max(1, limits.MIN_CROP_WIDTH / pixelCrop.width, limits.MIN_CROP_HEIGHT / pixelCrop.height),
+        width / pixelCrop.width,
+        height / pixelCrop.height
+    );
+    if (scale <= 1) return pixelCrop;
+
+    const cropWidth = pixelCrop.width * scale;
+    const cropHeight = pixelCrop.height * scale;
+    return {
+        x: clamp(pixelCrop.x + (pixelCrop.width - cropWidth) / 2, 0, width - cropWidth),
+        y: clamp(pixelCrop.y + (pixelCrop.height - cropHeight) / 2, 0, height - cropHeight),
+        width: cropWidth,
+        height: cropHeight,
+    };
+};
+
+// Lines that crop edges snap to: the image's center lines, and its edges while it isn't straightened
+export const getSnapLines = (layout, straighten = 0) => {
+    if (!layout) return { x: [], y: [] };
+    if (straighten) return { x: [layout.centerX], y: [layout.centerY] };
+    return {
+        x: [layout.x, layout.centerX, layout.x + layout.width],
+        y: [layout.y, layout.centerY, layout.y + layout.height],
+    };
+};
+
+// Offset that moves the value closest to a line onto it, or 0 when none is within threshold
+export const getSnapOffset = (values, lines, threshold) => {
+    let offset = 0;
+    let distance = threshold;
+    values.forEach((value) => {
+        lines.forEach((line) => {
+            if (Math.abs(line - value) <= distance) {
+                offset = line - value;
+                distance = Math.abs(offset);
+            }
+        });
+    });
+    return offset;
+};
+
+// Drags a handle ('tl', 't', 'tr', 'r', 'br', 'b', 'bl', 'l') of a pixel crop to the canvas point (x, y).
+// limits are from getCropWidthLimits and default to the canvas size alone.
+export const resizePixelCrop = (pixelCrop, handle, x, y, options) => {
+    const { width: canvasWidth, height: canvasHeight, aspectRatio } = options;
+    const {
+        MIN_CROP_WIDTH,
+        MAX_CROP_WIDTH,
+        MIN_CROP_HEIGHT,
+        MAX_CROP_HEIGHT,
+    } = options.limits || getCropWidthLimits(canvasWidth, canvasHeight, aspectRatio);
+    const left = pixelCrop.x;
+    const top = pixelCrop.y;
+    const right = pixelCrop.x + pixelCrop.width;
+    const bottom = pixelCrop.y + pixelCrop.height;
+
+    // A minimum larger than the room left on the canvas gives way to the canvas
+    const clampSize = (size, min, max) => clamp(size, Math.min(min, max), max);
+
+    // Free-form: each handle moves only the edges it touches
+    if (!aspectRatio) {
+        let newLeft = left;
+        let newRight = right;
+        let newTop = top;
+        let newBottom = bottom;
+        if (handle.includes('l')) {
+            newLeft = clamp(x, Math.max(0, right - MAX_CROP_WIDTH), Math.max(0, right - MIN_CROP_WIDTH));
+        }
+        if (handle.includes('r')) {
+            newRight = clamp(
+                x,
+                Math.min(canvasWidth, left + MIN_CROP_WIDTH),
+                Math.min(canvasWidth, left + MAX_CROP_WIDTH)
+            );
+        }
+        if (handle.includes('t')) {
+            newTop = clamp(y, Math.max(0, bottom - MAX_CROP_HEIGHT), Math.max(0, bottom - MIN_CROP_HEIGHT));
+        }
+        if (handle.includes('b')) {
+            newBottom = clamp(
+                y,
+                Math.min(canvasHeight, top + MIN_CROP_HEIGHT),
+                Math.min(canvasHeight, top + MAX_CROP_HEIGHT)
+            );
+        }
+        return { x: newLeft, y: newTop, width: newRight - newLeft, height: newBottom - newTop };
+    }
+
+    // Locked ratio: corners anchor the opposite corner, edges stay centered on the other axis
+    const resizeFromCorner = (growRight, growDown) => {
+        const anchorX = growRight ? left : right;
+        const anchorY = growDown ? top : bottom;
+        const availableWidth = growRight ? canvasWidth - anchorX : anchorX;
+        const availableHeight = growDown ? canvasHeight - anchorY : anchorY;
+        const width = clampSize(
+            Math.abs(x - anchorX),
+            MIN_CROP_WIDTH,
+            Math.min(MAX_CROP_WIDTH, availableWidth, availableHeight * aspectRatio)
+        );
+        const height = width / aspectRatio;
+        return {
+            x: growRight ? anchorX : anchorX - width,
+            y: growDown ? anchorY : anchorY - height,
+            width,
+            height,
+        };
+    };
+
+    const resizeFromVerticalEdge = (growDown) => {
+        const anchorY = growDown ? top : bottom;
+        const centerX = left + pixelCrop.width / 2;
+        const availableWidth = 2 * Math.min(centerX, canvasWidth - centerX);
+        const availableHeight = growDown ? canvasHeight - anchorY : anchorY;
+        const height = clampSize(
+            Math.abs(y - anchorY),
+            MIN_CROP_HEIGHT,
+            Math.min(MAX_CROP_HEIGHT, availableHeight, availableWidth / aspectRatio)
+        );
+        const width = height * aspectRatio;
+        return { x: centerX - width / 2, y: growDown ? anchorY : anchorY - height, width, height };
+    };
+
+    const resizeFromHorizontalEdge = (growRight) => {
+        const anchorX = growRight ? left : right;
+        const centerY = top + pixelCrop.height / 2;
+        const availableHeight = 2 * Math.min(centerY, canvasHeight - centerY);
+        const availableWidth = growRight ? canvasWidth - anchorX : anchorX;
+        const width = clampSize(
+            Math.abs(x - anchorX),
+            MIN_CROP_WIDTH,
+            Math.min(MAX_CROP_WIDTH, availableWidth, availableHeight * aspectRatio)
+        );
+        const height = width / aspectRatio;
+        return { x: growRight ? anchorX : anchorX - width, y: centerY - height / 2, width, height };
+    };
+
+    const handlers = {
+        br: () => resizeFromCorner(true, true),
+        tl: () => resizeFromCorner(false, false),
+        tr: () => resizeFromCorner(true, false),
+        bl: () => resizeFromCorner(false, true),
+        t: () => resizeFromVerticalEdge(false),
+        b: () => resizeFromVerticalEdge(true),
+        l: () => resizeFromHorizontalEdge(false),
+        r: () => resizeFromHorizontalEdge(true),
+    };
+
+    return handlers[handle]?.() || pixelCrop;
+};
+
+// Conforms the crop to the aspect ratio and, while the image is straightened, pulls it back inside the image
+export const clampCropState = (state, config) => {
+    const { width, height, aspectRatio } = config;
+    let pixelCrop = toPixelCrop(state.crop, width, height);
+    let changed = false;
+
+    // Crops that already match, such as a restored initialCrop, are left alone
+    if (aspectRatio && Math.abs(pixelCrop.width / pixelCrop.height - aspectRatio) >= 0.01) {
+        pixelCrop = conformCropToAspectRatio(pixelCrop, aspectRatio, width, height);
+        changed = true;
+    }
+    const layout = getLayout(state, config);
+    if (!isCropAllowed(pixelCrop, state.straighten, layout)) {
+        pixelCrop = fitCropInRotatedImage(pixelCrop, layout, state.straighten);
+        changed = true;
+    }
+
+    return changed ? { ...state, crop: toPercentCrop(pixelCrop, width, height) } : state;
+};
+
+/**
+ * Applies an action to the crop state and returns the new state, or the same object when nothing changes.
+ * Crop moves and resizes that would leave a straightened image are ignored.
+ *
+ * Actions:
+ *     - { type: 'setCrop', crop }: sets the percentage crop.
+ *     - { type: 'move', dx, dy }: moves the crop by canvas pixels, staying on the canvas.
+ *     - { type: 'moveTo', x, y, snap }: moves the crop's top-left corner to a canvas point. With snap, its
+ *       edges or center snap to the lines from getSnapLines within config.snapThreshold.
+ *     - { type: 'resize', handle, x, y, snap }: drags a crop handle to a canvas point, optionally snapping.
+ *     - { type: 'scale', width }: resizes the crop around the canvas center to a width in canvas pixels.
+ *     - { type: 'pan', dx, dy }: moves the image by canvas pixels.
+ *     - { type: 'zoom', zoom, anchorX, anchorY }: zooms keeping the canvas point under the same image pixel
+ *       (the canvas center by default).
+ *     - { type: 'fit' } / { type: 'fill' }: re-centers the image, showing all of it or covering the canvas.
+ *     - { type: 'rotate', degrees }, { type: 'straighten', angle }, { type: 'flip', axis: 'horizontal'|'vertical' }
+ *     - { type: 'clamp' }: see clampCropState.
+ *     - { type: 'reset', crop }: back to the initial view with the given crop, or the default one.
+ *     - { type: 'set', state }: merges a partial state, e.g. an undo snapshot.
+ */
+export const cropReducer = (state, action, config) => {
+    const { width, height, minZoom = 0, maxZoom = Infinity, maxStraighten = 180, snapThreshold = 0 } = config;
+    const pixelCrop = toPixelCrop(state.crop, width, height);
+    const snapLines = action.snap && snapThreshold ? getSnapLines(getLayout(state, config), state.straighten) : null;
+
+    const withPixelCrop = (newPixelCrop) => {
+        if (!isCropAllowed(newPixelCrop, state.straighten, getLayout(state, config))) return state;
+        return { ...state, crop: toPercentCrop(newPixelCrop, width, height) };
+    };
+
+    switch (action.type) {
+        case 'setCrop':
+            return { ...state, crop: action.crop };
+        case 'move':
+            return withPixelCrop(movePixelCrop(pixelCrop, action.dx, action.dy, width, height));
+        case 'moveTo': {
+            let { x, y } = action;
+            if (snapLines) {
+                x += getSnapOffset([x, x + pixelCrop.width / 2, x + pixelCrop.width], snapLines.x, snapThreshold);
+                y += getSnapOffset([y, y + pixelCrop.height / 2, y + pixelCrop.height], snapLines.y, snapThreshold);
+            }
+            return withPixelCrop(movePixelCrop(pixelCrop, x - pixelCrop.x, y - pixelCrop.y, width, height));
+        }
+        case 'resize': {
+            let { x, y } = action;
+            // Only the edges the handle moves snap
+            if (snapLines && /[lr]/.test(action.handle)) x += getSnapOffset([x], snapLines.x, snapThreshold);
+            if (snapLines && /[tb]/.test(action.handle)) y += getSnapOffset([y], snapLines.y, snapThreshold);
+            const limits = getCropLimits(state, config);
+            return withPixelCrop(resizePixelCrop(pixelCrop, action.handle, x, y, { ...config, limits }));
+        }
+        case 'scale': {
+            // In free-form mode keep the current shape while scaling
+            const newHeight = (action.width * pixelCrop.height) / pixelCrop.width;
+            const newCrop = calculateCropArea(action.width, width, height, config.aspectRatio, newHeight);
+            const layout = getLayout(state, config);
+            const fittedCrop = isCropAllowed(newCrop, state.straighten, layout)
+                ? newCrop
+                : fitCropInRotatedImage(newCrop, layout, state.straighten);
+            return { ...state, crop: toPercentCrop(fittedCrop, width, height) };
+        }
+        case 'pan': {
+            const pan = clampPan({ x: state.pan.x + action.dx, y: state.pan.y + action.dy }, width, height);
+            const panned = { ...state, pan };
+            return isCropAllowed(pixelCrop, state.straighten, getLayout(panned, config)) ? panned : state;
+        }
+        case 'zoom': {
+            const zoom = clampZoom(action.zoom, minZoom, maxZoom);
+            if (zoom === state.zoom) return state;
+            const { anchorX = width / 2, anchorY = height / 2 } = action;
+            const pan = getAnchoredPan(state.pan, state.zoom, zoom, anchorX, anchorY, width, height);
+            return { ...state, zoom, pan: clampPan(pan, width, height) };
+        }
+        case 'fit':
+            return { ...state, zoom: clampZoom(1, minZoom, maxZoom), pan: { x: 0, y: 0 } };
+        case 'fill': {
+            if (!config.imageSize) return state;
+            const fillZoom = getFillZoom(config.imageSize, width, height, state.rotation);
+            return { ...state, zoom: clampZoom(fillZoom, minZoom, maxZoom), pan: { x: 0, y: 0 } };
+        }
+        case 'rotate':
+            return { ...state, rotation: (((state.rotation + action.degrees) % 360) + 360) % 360 };
+        case 'straighten':
+            return { ...state, straighten: clamp(action.angle, -maxStraighten, maxStraighten) };
+        case 'flip':
+            return action.axis === 'vertical' ? { ...state, flipV: !state.flipV } : { ...state, flipH: !state.flipH };
+        case 'clamp':
+            return clampCropState(state, config);
+        case 'reset':
+            return {
+                ...INITIAL_CROP_STATE,
+                zoom: clampZoom(1, minZoom, maxZoom),
+                crop: action.crop || getDefaultCrop(config),
+            };
+        case 'set':
+            return { ...state, ...action.state };
+        default:
+            return state;
+    }
+};
+
+const HANDLE_CURSORS = {
+    tl: 'nwse-resize',
+    br: 'nwse-resize',
+    tr: 'nesw-resize',
+    bl: 'nesw-resize',
+    l: 'ew-resize',
+    r: 'ew-resize',
+    t: 'ns-resize',
+    b: 'ns-resize',
+};
+
+/**
+ * Finds what a pointer at the canvas point (x, y) grabs:
+ *     - { type: 'resize', handle, offsetX, offsetY } on a crop handle. Handles on a round crop sit inside the
+ *       box corner; adding the offset to later pointer positions keeps the box from jumping.
+ *     - { type: 'drag' } inside the crop shape.
+ *     - { type: 'pan' } anywhere else.
+ *
+ * @param {Object} options
+ *     - cropSettings: {Object} For the handle size.
+ *     - resolutionScale: {number} Canvas resolution multiplier.
+ *     - cropShape, cropRadius: Shape of the crop box.
+ *     - pointerType: {string} 'mouse', 'touch' or 'pen'; touch and pen get larger handles.
+ */
+export const getPointerTarget = (pixelCrop, x, y, options) => {
+    const { cropSettings, resolutionScale, cropShape, cropRadius, pointerType } = options;
+    const handles = getCropHandles(pixelCrop, cropSettings, resolutionScale, cropShape);
+    const hitSize = getHandleHitSize(cropSettings, resolutionScale, pointerType);
+    const handle = handles.find((entry) => Math.abs(x - entry.x) < hitSize && Math.abs(y - entry.y) < hitSize);
+    if (handle) {
+        const edgePoint = getHandleEdgePoint(pixelCrop, handle.name);
+        return { type: 'resize', handle: handle.name, offsetX: edgePoint.x - x, offsetY: edgePoint.y - y };
+    }
+    if (isPointInCropShape(x, y, pixelCrop, cropShape, cropRadius)) return { type: 'drag' };
+    return { type: 'pan' };
+};
+
+// CSS cursor for a pointer target
+export const getTargetCursor = (target) => {
+    if (target.type === 'resize') return HANDLE_CURSORS[target.handle] || 'default';
+    return target.type === 'drag' ? 'move' : 'grab';
+};
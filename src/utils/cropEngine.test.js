@@ -0,0 +1,461 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    INITIAL_CROP_STATE,
+    clampCropState,
+    cropReducer,
+    getCropLimits,
+    getCropQuality,
+    getLayout,
+    getMinSourceSize,
+    getPointerTarget,
+    getSnapLines,
+    getSnapOffset,
+    getSourceRect,
+    getTargetCursor,
+    growPixelCropToLimits,
+    resizePixelCrop,
+    toPixelCrop,
+} from './cropEngine.js';
+import { isCropInsideRotatedImage } from './imageCropperUtils.js';
+
+// A 2:1 image on a square canvas is drawn 400 x 200 at y = 100, half its natural size
+const CONFIG = {
+    width: 400,
+    height: 400,
+    imageSize: { width: 800, height: 400 },
+    aspectRatio: null,
+    minZoom: 0.5,
+    maxZoom: 3,
+    maxStraighten: 45,
+    snapThreshold: 8,
+};
+
+// Crop of 200 x 200 canvas pixels at (100, 100)
+const STATE = { ...INITIAL_CROP_STATE, crop: { x: 25, y: 25, width: 50, height: 50 } };
+
+const PIXEL_CROP = { x: 100, y: 100, width: 100, height: 100 };
+
+const expectCloseTo = (actual, expected) => {
+    Object.entries(expected).forEach(([key, value]) => expect(actual[key]).toBeCloseTo(value, 6));
+};
+
+describe('resizePixelCrop', () => {
+    const canvas = { width: 400, height: 400 };
+
+    it.each([
+        ['tl', 50, 40, { x: 50, y: 40, width: 150, height: 160 }],
+        ['t', 0, 40, { x: 100, y: 40, width: 100, height: 160 }],
+        ['tr', 250, 40, { x: 100, y: 40, width: 150, height: 160 }],
+        ['r', 250, 0, { x: 100, y: 100, width: 150, height: 100 }],
+        ['br', 250, 260, { x: 100, y: 100, width: 150, height: 160 }],
+        ['b', 0, 260, { x: 100, y: 100, width: 100, height: 160 }],
+        ['bl', 50, 260, { x: 50, y: 100, width: 150, height: 160 }],
+        ['l', 50, 0, { x: 50, y: 100, width: 150, height: 100 }],
+    ])('moves only the edges of free-form handle %s', (handle, x, y, expected) => {
+        expect(resizePixelCrop(PIXEL_CROP, handle, x, y, { ...canvas, aspectRatio: null })).toEqual(expected);
+    });
+
+    it.each([
+        ['tl', 50, 0, { x: 50, y: 50, width: 150, height: 150 }],
+        ['t', 0, 50, { x: 75, y: 50, width: 150, height: 150 }],
+        ['tr', 250, 0, { x: 100, y: 50, width: 150, height: 150 }],
+        ['r', 250, 0, { x: 100, y: 75, width: 150, height: 150 }],
+        ['br', 250, 0, { x: 100, y: 100, width: 150, height: 150 }],
+        ['b', 0, 250, { x: 75, y: 100, width: 150, height: 150 }],
+        ['bl', 50, 0, { x: 50, y: 100, width: 150, height: 150 }],
+        ['l', 50, 0, { x: 50, y: 75, width: 150, height: 150 }],
+    ])('keeps the ratio and anchors the opposite side for handle %s', (handle, x, y, expected) => {
+        expect(resizePixelCrop(PIXEL_CROP, handle, x, y, { ...canvas, aspectRatio: 1 })).toEqual(expected);
+    });
+
+    it('keeps free-form crops between the minimum size and the canvas', () => {
+        const options = { ...canvas, aspectRatio: null };
+        expect(resizePixelCrop(PIXEL_CROP, 'r', 105, 0, options).width).toBe(10);
+        expect(resizePixelCrop(PIXEL_CROP, 'r', 500, 0, options).width).toBe(300);
+        expect(resizePixelCrop(PIXEL_CROP, 'l', -50, 0, options).x).toBe(0);
+    });
+
+    it('keeps ratio-locked crops on the canvas', () => {
+        const result = resizePixelCrop(PIXEL_CROP, 'br', 500, 500, { ...canvas, aspectRatio: 2 });
+        expect(result).toEqual({ x: 100, y: 100, width: 300, height: 150 });
+    });
+
+    it('honors custom limits, giving way to the canvas', () => {
+        const limits = { MIN_CROP_WIDTH: 120, MAX_CROP_WIDTH: 400, MIN_CROP_HEIGHT: 120, MAX_CROP_HEIGHT: 400 };
+        expect(resizePixelCrop(PIXEL_CROP, 'br', 150, 150, { ...canvas, aspectRatio: 1, limits }).width).toBe(120);
+
+        const nearEdge = { x: 350, y: 100, width: 40, height: 40 };
+        const result = resizePixelCrop(nearEdge, 'r', 360, 0, { ...canvas, aspectRatio: null, limits });
+        expect(result.x + result.width).toBe(400);
+    });
+
+    it('ignores unknown handles', () => {
+        expect(resizePixelCrop(PIXEL_CROP, 'x', 0, 0, { ...canvas, aspectRatio: 1 })).toBe(PIXEL_CROP);
+    });
+});
+
+describe('growPixelCropToLimits', () => {
+    const limits = { MIN_CROP_WIDTH: 150, MIN_CROP_HEIGHT: 100 };
+
+    it('leaves crops at or above the minimum alone', () => {
+        const crop = { x: 10, y: 10, width: 160, height: 120 };
+        expect(growPixelCropToLimits(crop, limits, 400, 400)).toBe(crop);
+    });
+
+    it('scales small crops up around their center, keeping their shape', () => {
+        const crop = growPixelCropToLimits({ x: 150, y: 170, width: 100, height: 80 }, limits, 400, 400);
+        expectCloseTo(crop, { x: 125, y: 150, width: 150, height: 120 });
+    });
+
+    it('grows until both sides reach their minimum', () => {
+        const crop = growPixelCropToLimits({ x: 180, y: 180, width: 40, height: 40 }, limits, 400, 400);
+        expectCloseTo(crop, { x: 125, y: 125, width: 150, height: 150 });
+    });
+
+    it('stays on the canvas', () => {
+        expectCloseTo(
+            growPixelCropToLimits({ x: 350, y: 0, width: 50, height: 40 }, limits, 400, 400),
+            { x: 250, y: 0, width: 150, height: 120 }
+        );
+        // The canvas caps the growth
+        expectCloseTo(
+            growPixelCropToLimits({ x: 0, y: 0, width: 100, height: 80 }, { ...limits, MIN_CROP_WIDTH: 500 }, 400, 300),
+            { x: 0, y: 0, width: 375, height: 300 }
+        );
+    });
+
+    it('meets getCropLimits for a minimum source size', () => {
+        // The image is drawn at half its natural size, so 200 source pixels are 100 canvas pixels
+        const config = { ...CONFIG, aspectRatio: 1, minSourceSize: { width: 200, height: 200 } };
+        const crop = growPixelCropToLimits(
+            { x: 190, y: 190, width: 20, height: 20 },
+            getCropLimits(STATE, config),
+            400,
+            400
+        );
+        expectCloseTo(crop, { x: 150, y: 150, width: 100, height: 100 });
+    });
+});
+
+describe('cropReducer', () => {
+    const reduce = (action, state = STATE, config = CONFIG) => cropReducer(state, action, config);
+
+    it('setCrop replaces the crop', () => {
+        const crop = { x: 1, y: 2, width: 3, height: 4 };
+        expect(reduce({ type: 'setCrop', crop }).crop).toBe(crop);
+    });
+
+    it('move shifts the crop and keeps it on the canvas', () => {
+        expectCloseTo(reduce({ type: 'move', dx: 10, dy: -20 }).crop, { x: 27.5, y: 20, width: 50, height: 50 });
+        expect(reduce({ type: 'move', dx: 1000, dy: 0 }).crop.x).toBe(50);
+    });
+
+    it('moveTo places the crop', () => {
+        expect(reduce({ type: 'moveTo', x: 150, y: 100 }).crop).toEqual({ x: 37.5, y: 25, width: 50, height: 50 });
+        expect(reduce({ type: 'moveTo', x: 5, y: 103 }).crop.x).toBeCloseTo(1.25);
+    });
+
+    it('resize drags a handle', () => {
+        expect(reduce({ type: 'resize', handle: 'br', x: 310, y: 310 }).crop).toEqual({
+            x: 25,
+            y: 25,
+            width: 52.5,
+            height: 52.5,
+        });
+    });
+
+    it('scale resizes around the canvas center, keeping a free-form shape', () => {
+        expect(reduce({ type: 'scale', width: 100 }).crop).toEqual({ x: 37.5, y: 37.5, width: 25, height: 25 });
+        const wide = { ...STATE, crop: { x: 0, y: 0, width: 50, height: 25 } };
+        expect(reduce({ type: 'scale', width: 100 }, wide).crop).toEqual({
+            x: 37.5,
+            y: 43.75,
+            width: 25,
+            height: 12.5,
+        });
+    });
+
+    it('pan moves the image unless that leaves a straightened crop outside it', () => {
+        expect(reduce({ type: 'pan', dx: 10, dy: 5 }).pan).toEqual({ x: 10, y: 5 });
+        expect(reduce({ type: 'pan', dx: 1000, dy: 0 }).pan).toEqual({ x: 200, y: 0 });
+
+        const straightened = { ...STATE, straighten: 10, crop: { x: 45, y: 45, width: 10, height: 10 } };
+        expect(reduce({ type: 'pan', dx: 300, dy: 0 }, straightened)).toBe(straightened);
+    });
+
+    it('zoom clamps the level and keeps the anchor point in place', () => {
+        expect(reduce({ type: 'zoom', zoom: 2 })).toMatchObject({ zoom: 2, pan: { x: 0, y: 0 } });
+        expect(reduce({ type: 'zoom', zoom: 1.5, anchorX: 100, anchorY: 300 }).pan).toEqual({ x: 50, y: -50 });
+        expect(reduce({ type: 'zoom', zoom: 10 }).zoom).toBe(3);
+        expect(reduce({ type: 'zoom', zoom: 0.1 }).zoom).toBe(0.5);
+        expect(reduce({ type: 'zoom', zoom: 1 })).toBe(STATE);
+    });
+
+    it('fit and fill re-center the image', () => {
+        const zoomed = { ...STATE, zoom: 2, pan: { x: 10, y: 10 } };
+        expect(reduce({ type: 'fit' }, zoomed)).toMatchObject({ zoom: 1, pan: { x: 0, y: 0 } });
+        expect(reduce({ type: 'fill' })).toMatchObject({ zoom: 2, pan: { x: 0, y: 0 } });
+        expect(reduce({ type: 'fill' }, STATE, { ...CONFIG, imageSize: null })).toBe(STATE);
+    });
+
+    it('rotate turns in 90° steps within 0-359', () => {
+        expect(reduce({ type: 'rotate', degrees: 90 }).rotation).toBe(90);
+        expect(reduce({ type: 'rotate', degrees: -90 }).rotation).toBe(270);
+        expect(reduce({ type: 'rotate', degrees: 90 }, { ...STATE, rotation: 270 }).rotation).toBe(0);
+    });
+
+    it('straighten is limited to maxStraighten', () => {
+        expect(reduce({ type: 'straighten', angle: 12.5 }).straighten).toBe(12.5);
+        expect(reduce({ type: 'straighten', angle: 60 }).straighten).toBe(45);
+        expect(reduce({ type: 'straighten', angle: -60 }).straighten).toBe(-45);
+    });
+
+    it('flip toggles one axis', () => {
+        expect(reduce({ type: 'flip', axis: 'horizontal' })).toMatchObject({ flipH: true, flipV: false });
+        expect(reduce({ type: 'flip', axis: 'vertical' })).toMatchObject({ flipH: false, flipV: true });
+        expect(reduce({ type: 'flip', axis: 'horizontal' }, { ...STATE, flipH: true }).flipH).toBe(false);
+    });
+
+    it('clamp conforms the crop to the aspect ratio', () => {
+        const wide = { ...STATE, crop: { x: 25, y: 25, width: 50, height: 25 } };
+        expect(reduce({ type: 'clamp' }, wide, { ...CONFIG, aspectRatio: 1 }).crop).toEqual({
+            x: 25,
+            y: 12.5,
+            width: 50,
+            height: 50,
+        });
+    });
+
+    it('reset restores the initial view with the given or default crop', () => {
+        const edited = { ...STATE, zoom: 2, rotation: 90, flipH: true, pan: { x: 5, y: 5 } };
+        const crop = { x: 0, y: 0, width: 10, height: 10 };
+        expect(reduce({ type: 'reset', crop }, edited)).toEqual({ ...INITIAL_CROP_STATE, crop });
+        expect(reduce({ type: 'reset' }, edited)).toEqual({
+            ...INITIAL_CROP_STATE,
+            crop: { x: 25, y: 25, width: 50, height: 50 },
+        });
+    });
+
+    it('set merges a partial state', () => {
+        const result = reduce({ type: 'set', state: { zoom: 2, rotation: 180 } });
+        expect(result).toEqual({ ...STATE, zoom: 2, rotation: 180 });
+    });
+
+    it('returns the same state for unknown actions', () => {
+        expect(reduce({ type: 'unknown' })).toBe(STATE);
+    });
+});
+
+describe('clampCropState', () => {
+    it('leaves a crop that already fits alone', () => {
+        expect(clampCropState(STATE, CONFIG)).toBe(STATE);
+        expect(clampCropState(STATE, { ...CONFIG, aspectRatio: 1 })).toBe(STATE);
+    });
+
+    it('pulls the crop inside a straightened image, keeping its ratio', () => {
+        const state = { ...STATE, straighten: 20, crop: { x: 0, y: 0, width: 100, height: 100 } };
+        const result = clampCropState(state, CONFIG);
+        const pixelCrop = toPixelCrop(result.crop, CONFIG.width, CONFIG.height);
+
+        expect(isCropInsideRotatedImage(pixelCrop, getLayout(result, CONFIG), 20)).toBe(true);
+        expect(pixelCrop.width).toBeLessThan(400);
+        expect(pixelCrop.width).toBeCloseTo(pixelCrop.height, 6);
+    });
+});
+
+describe('getSourceRect', () => {
+    it('is null until the image size is known', () => {
+        expect(getSourceRect(STATE, { ...CONFIG, imageSize: null })).toBeNull();
+    });
+
+    it('maps the crop to source pixels', () => {
+        expectCloseTo(getSourceRect(STATE, CONFIG), { srcX: 200, srcY: 0, srcWidth: 400, srcHeight: 400 });
+    });
+
+    it('follows zoom and pan', () => {
+        expectCloseTo(getSourceRect({ ...STATE, zoom: 2 }, CONFIG), {
+            srcX: 300,
+            srcY: 100,
+            srcWidth: 200,
+            srcHeight: 200,
+        });
+        expectCloseTo(getSourceRect({ ...STATE, pan: { x: 50, y: 0 } }, CONFIG), { srcX: 100, srcY: 0 });
+    });
+
+    it('measures on the rotated image', () => {
+        // A quarter turn makes the image 400 x 800, drawn 200 x 400
+        expectCloseTo(getSourceRect({ ...STATE, rotation: 90 }, CONFIG), {
+            srcX: 0,
+            srcY: 200,
+            srcWidth: 400,
+            srcHeight: 400,
+        });
+    });
+
+    it('applies straighten around the image center', () => {
+        const state = { ...STATE, pan: { x: 50, y: 0 }, straighten: 90 };
+        expectCloseTo(getSourceRect(state, CONFIG), { srcX: 200, srcY: 100, srcWidth: 400, srcHeight: 400 });
+    });
+});
+
+describe('getPointerTarget', () => {
+    const options = { cropSettings: { handleSize: 16 }, resolutionScale: 4, cropShape: 'rect', cropRadius: 0 };
+    const cropArea = { x: 100, y: 100, width: 200, height: 200 };
+
+    it('finds handles, with the offset to the edge they move', () => {
+        expect(getPointerTarget(cropArea, 301, 299, options)).toEqual({
+            type: 'resize',
+            handle: 'br',
+            offsetX: -1,
+            offsetY: 1,
+        });
+        expect(getPointerTarget(cropArea, 200, 101, options)).toMatchObject({ type: 'resize', handle: 't' });
+    });
+
+    it('tells dragging the crop from panning the image', () => {
+        expect(getPointerTarget(cropArea, 200, 200, options)).toEqual({ type: 'drag' });
+        expect(getPointerTarget(cropArea, 50, 50, options)).toEqual({ type: 'pan' });
+    });
+
+    it('gives touch a larger hit area', () => {
+        expect(getPointerTarget(cropArea, 120, 120, options).type).toBe('drag');
+        expect(getPointerTarget(cropArea, 120, 120, { ...options, pointerType: 'touch' })).toMatchObject({
+            type: 'resize',
+            handle: 'tl',
+        });
+    });
+
+    it('puts round corner handles on the ellipse, offset to the box corner', () => {
+        const round = { ...options, cropShape: 'round' };
+        const target = getPointerTarget(cropArea, 130, 130, round);
+        expect(target).toMatchObject({ type: 'resize', handle: 'tl', offsetX: -30, offsetY: -30 });
+        // The box corner itself is outside the ellipse
+        expect(getPointerTarget(cropArea, 103, 103, round)).toEqual({ type: 'pan' });
+    });
+});
+
+describe('getTargetCursor', () => {
+    it.each([
+        [{ type: 'resize', handle: 'tl' }, 'nwse-resize'],
+        [{ type: 'resize', handle: 'br' }, 'nwse-resize'],
+        [{ type: 'resize', handle: 'tr' }, 'nesw-resize'],
+        [{ type: 'resize', handle: 'bl' }, 'nesw-resize'],
+        [{ type: 'resize', handle: 'l' }, 'ew-resize'],
+        [{ type: 'resize', handle: 't' }, 'ns-resize'],
+        [{ type: 'drag' }, 'move'],
+        [{ type: 'pan' }, 'grab'],
+    ])('%o shows %s', (target, cursor) => {
+        expect(getTargetCursor(target)).toBe(cursor);
+    });
+});
+
+describe('snapping', () => {
+    it('snaps the closest value within the threshold', () => {
+        expect(getSnapOffset([5, 105, 205], [0, 200, 400], 8)).toBe(-5);
+        expect(getSnapOffset([6, 98], [0, 100], 8)).toBe(2);
+        expect(getSnapOffset([20, 120], [0, 200], 8)).toBe(0);
+    });
+
+    it('offers the image edges and center, or only the center while straightened', () => {
+        const layout = getLayout(STATE, CONFIG);
+        expect(getSnapLines(layout)).toEqual({ x: [0, 200, 400], y: [100, 200, 300] });
+        expect(getSnapLines(layout, 5)).toEqual({ x: [200], y: [200] });
+        expect(getSnapLines(null)).toEqual({ x: [], y: [] });
+    });
+
+    it('snaps the crop edges the reducer moves to the image', () => {
+        const moved = cropReducer(STATE, { type: 'moveTo', x: 5, y: 103, snap: true }, CONFIG);
+        expect(moved.crop).toEqual({ x: 0, y: 25, width: 50, height: 50 });
+
+        const resized = cropReducer(STATE, { type: 'resize', handle: 'br', x: 395, y: 302, snap: true }, CONFIG);
+        expect(resized.crop).toEqual({ x: 25, y: 25, width: 75, height: 50 });
+        // Without snap the pointer position is kept
+        expect(cropReducer(STATE, { type: 'resize', handle: 'br', x: 395, y: 302 }, CONFIG).crop.width).toBe(73.75);
+    });
+
+    it('turns snapping off with a snapThreshold of 0', () => {
+        const config = { ...CONFIG, snapThreshold: 0 };
+        expect(cropReducer(STATE, { type: 'moveTo', x: 5, y: 103, snap: true }, config).crop.x).toBeCloseTo(1.25);
+    });
+});
+
+describe('getMinSourceSize', () => {
+    const canvas = { width: 400, height: 400 };
+
+    it('is empty without limits', () => {
+        expect(getMinSourceSize({ ...canvas })).toEqual({ width: 0, height: 0 });
+    });
+
+    it('takes minOutputWidth/minOutputHeight as source pixels without maxUpscale', () => {
+        expect(getMinSourceSize({ ...canvas, minOutputWidth: 300 })).toEqual({ width: 300, height: 0 });
+        expect(getMinSourceSize({ ...canvas, minOutputWidth: 300, minOutputHeight: 300, aspectRatio: 1.5 })).toEqual({
+            width: 450,
+            height: 300,
+        });
+    });
+
+    it('lets maxUpscale stretch the minimum output', () => {
+        expect(getMinSourceSize({ ...canvas, minOutputWidth: 300, maxUpscale: 2 })).toEqual({ width: 150, height: 0 });
+    });
+
+    it('limits upscaling to fixed output sizes', () => {
+        expect(getMinSourceSize({ ...canvas, maxUpscale: 2, output: { width: 800 } })).toEqual({
+            width: 400,
+            height: 0,
+        });
+        expect(getMinSourceSize({ ...canvas, maxUpscale: 2, aspectRatio: 1 })).toEqual({ width: 200, height: 200 });
+        expect(getMinSourceSize({ ...canvas, maxUpscale: 2, output: 'source' })).toEqual({ width: 0, height: 0 });
+        expect(getMinSourceSize({ ...canvas, maxUpscale: 2, output: { maxWidth: 800 } })).toEqual({
+            width: 0,
+            height: 0,
+        });
+    });
+});
+
+describe('getCropLimits', () => {
+    const config = { ...CONFIG, imageSize: { width: 1000, height: 1000 }, minSourceSize: { width: 500, height: 500 } };
+
+    it('converts the minimum source size to canvas pixels at the current zoom', () => {
+        expect(getCropLimits(STATE, config).MIN_CROP_WIDTH).toBeCloseTo(200);
+        expect(getCropLimits({ ...STATE, zoom: 2 }, config).MIN_CROP_WIDTH).toBe(400);
+    });
+
+    it('falls back to the fixed minimum', () => {
+        expect(getCropLimits(STATE, CONFIG).MIN_CROP_WIDTH).toBe(10);
+    });
+
+    it('stops resizing at the minimum source size', () => {
+        const result = cropReducer(STATE, { type: 'resize', handle: 'br', x: 150, y: 150 }, config);
+        expect(result.crop).toEqual(STATE.crop);
+    });
+});
+
+describe('getCropQuality', () => {
+    // 400 canvas pixels show 1000 source pixels, so the crop holds 500 x 500
+    const config = { ...CONFIG, imageSize: { width: 1000, height: 1000 } };
+
+    it('is null until the image size is known', () => {
+        expect(getCropQuality(STATE, { ...config, imageSize: null })).toBeNull();
+    });
+
+    it('reports source and output size with the upscale factor', () => {
+        expect(getCropQuality(STATE, config, { output: { width: 800 }, warningUpscale: 2 })).toEqual({
+            sourceWidth: 500,
+            sourceHeight: 500,
+            outputWidth: 800,
+            outputHeight: 800,
+            upscale: 1.6,
+            meetsMinimum: true,
+            isLow: false,
+        });
+        expect(getCropQuality(STATE, config).upscale).toBe(0.8);
+    });
+
+    it('is low above warningUpscale or below the minimum', () => {
+        expect(getCropQuality(STATE, config, { output: { width: 800 }, warningUpscale: 1.5 }).isLow).toBe(true);
+
+        const withMinimum = { ...config, minSourceSize: { width: 600, height: 600 } };
+        expect(getCropQuality(STATE, withMinimum)).toMatchObject({ meetsMinimum: false, isLow: true });
+    });
+});
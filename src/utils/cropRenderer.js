@@ -0,0 +1,355 @@
+import {
+    drawTransformedImage,
+    fitCropInRotatedImage,
+    getImageLayout,
+    getOutputFileName,
+    getOutputSize,
+    getSourceCropRect,
+    isCropInsideRotatedImage,
+    loadImage,
+    mimeTypeSupportsAlpha,
+    resolveOutputMimeType,
+    traceCropShape,
+} from './imageCropperUtils.js';
+import { adjustCanvas, hasAdjustments } from './imageAdjustments.js';
+import { encodeCanvas } from './imageEncoder.js';
+import {
+    getUprightImageSource,
+    readImageMetadata,
+    resolveMetadataOptions,
+    writeJpegMetadata,
+} from './imageMetadata.js';
+
+// Size renderCrop draws the crop at, from the crop's size in source pixels
+const getRenderOutputSize = (image, {
+    canvasWidth,
+    canvasHeight,
+    pixelCrop,
+    zoom = 1,
+    pan = { x: 0, y: 0 },
+    transform = {},
+    output,
+}) => {
+    const { srcWidth, srcHeight } = getSourceCropRect(
+        pixelCrop,
+        image,
+        canvasWidth,
+        canvasHeight,
+        zoom,
+        transform,
+        pan
+    );
+    return getOutputSize(output, srcWidth, srcHeight, canvasWidth, canvasHeight);
+};
+
+// Draws a crop onto a new canvas by replaying the editor view: pixelCrop, zoom, pan and transform are
+// in the coordinates of a canvasWidth x canvasHeight editor. Returns { canvas, outputSize }.
+export const renderCrop = (image, options) => {
+    const {
+        canvasWidth,
+        canvasHeight,
+        pixelCrop,
+        zoom = 1,
+        pan = { x: 0, y: 0 },
+        transform = {},
+        mimeType = 'image/png',
+        cropShape = 'rect',
+        cropRadius = 0,
+        backgroundColor = '#ffffff',
+        adjustments,
+    } = options;
+    const layout = getImageLayout(image, canvasWidth, canvasHeight, zoom, transform.rotation, pan);
+    const outputSize = getRenderOutputSize(image, options);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = outputSize.width;
+    canvas.height = outputSize.height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // Map the crop box onto the output canvas, clipped to the crop shape
+    const applyCropTransform = () => {
+        ctx.scale(outputSize.width / pixelCrop.width, outputSize.height / pixelCrop.height);
+        ctx.translate(-pixelCrop.x, -pixelCrop.y);
+        if (cropShape !== 'rect') {
+            ctx.beginPath();
+            traceCropShape(ctx, pixelCrop, cropShape, cropRadius);
+            ctx.clip();
+        }
+    };
+
+    ctx.save();
+    applyCropTransform();
+    drawTransformedImage(ctx, image, layout, transform);
+    ctx.restore();
+
+    // Adjust only the output pixels, before the background goes in so it keeps its exact color
+    if (hasAdjustments(adjustments)) {
+        adjustCanvas(canvas, adjustments);
+    }
+
+    // Background behind the image. Shaped crops keep transparent corners unless the format has no alpha.
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-over';
+    if (cropShape !== 'rect' && mimeTypeSupportsAlpha(mimeType)) {
+        applyCropTransform();
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(pixelCrop.x, pixelCrop.y, pixelCrop.width, pixelCrop.height);
+    } else {
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(0, 0, outputSize.width, outputSize.height);
+    }
+    ctx.restore();
+
+    return { canvas, outputSize };
+};
+
+// Halves a canvas in both directions with smoothing; repeated halving downscales with far less aliasing
+// than one large step
+const halveCanvas = (source) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width / 2));
+    canvas.height = Math.max(1, Math.round(source.height / 2));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+// Returns a function (width, height, rect) => canvas that draws the region rect (in source pixels, default
+// all of it) of a source canvas at width x height. Halving steps are computed once and shared between calls,
+// so each further size is cheap.
+export const createDownscaler = (source) => {
+    const levels = [source];
+    const getLevel = (index) => {
+        while (levels.length <= index) levels.push(halveCanvas(levels[levels.length - 1]));
+        return levels[index];
+    };
+
+    return (width, height, rect = { x: 0, y: 0, width: source.width, height: source.height }) => {
+        // Step down while the next level still holds at least the target size
+        let index = 0;
+        while (rect.width / 2 ** (index + 1) >= width && rect.height / 2 ** (index + 1) >= height) index++;
+        const level = getLevel(index);
+        const scaleX = level.width / source.width;
+        const scaleY = level.height / source.height;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(
+            level,
+            rect.x * scaleX,
+            rect.y * scaleY,
+            rect.width * scaleX,
+            rect.height * scaleY,
+            0,
+            0,
+            width,
+            height
+        );
+        return canvas;
+    };
+};
+
+// Centered region of a width x height area with the given aspect ratio, like object-fit: cover
+const getCoverRect = (width, height, aspectRatio) => {
+    if (Math.abs(width / height - aspectRatio) < 0.01) return { x: 0, y: 0, width, height };
+    const coverWidth = Math.min(width, height * aspectRatio);
+    const coverHeight = coverWidth / aspectRatio;
+    return { x: (width - coverWidth) / 2, y: (height - coverHeight) / 2, width: coverWidth, height: coverHeight };
+};
+
+// Flattens the transparent areas of a canvas onto the background, for formats without alpha
+const fillBackground = (canvas, backgroundColor) => {
+    const ctx = canvas.getContext('2d');
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = backgroundColor;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Renders several sizes of one crop and encodes each of them.
+ *
+ * @param {HTMLCanvasElement} canvas
+ *     The crop at the largest resolution the variants need, e.g. from renderCrop with output 'source'.
+ *     It may be transparent.
+ *
+ * @param {Array} variants
+ *     List of { name, width, height, maxWidth, maxHeight, format, quality }. Sizes work like the `output`
+ *     prop: one side keeps the crop's aspect ratio, maxWidth/maxHeight never upscale and no size fits the
+ *     editor canvas. With both width and height of another ratio the crop is trimmed around its center to
+ *     fill them. format and quality default to the options below.
+ *
+ * @param {Object} options
+ *     - mimeType: {string} MIME type for variants without a format.
+ *     - quality: {number} Encoder quality for variants without one.
+ *     - backgroundColor: {string} Fills transparent areas for formats without alpha.
+ *     - canvasWidth, canvasHeight: {number} Editor canvas size, for variants without a size.
+ *     - downscale: {Function} createDownscaler of the canvas, to share its halving steps. Optional.
+ *
+ * Resolves to { [name]: { blob, width, height, mimeType } }.
+ */
+export const renderVariants = async (canvas, variants, options) => {
+    const { mimeType, quality, backgroundColor = '#ffffff', canvasWidth, canvasHeight } = options;
+    const downscale = options.downscale ?? createDownscaler(canvas);
+    const results = {};
+
+    for (const variant of variants) {
+        const size = getOutputSize(variant, canvas.width, canvas.height, canvasWidth, canvasHeight);
+        const rect = getCoverRect(canvas.width, canvas.height, size.width / size.height);
+        const variantCanvas = downscale(size.width, size.height, rect);
+        const variantMimeType = resolveOutputMimeType(variant.format, mimeType);
+
+        if (!mimeTypeSupportsAlpha(variantMimeType)) {
+            fillBackground(variantCanvas, backgroundColor);
+        }
+
+        const blob = await encodeCanvas(variantCanvas, variantMimeType, variant.quality ?? quality);
+        results[variant.name] = { blob, width: size.width, height: size.height, mimeType: blob.type };
+    }
+    return results;
+};
+
+/**
+ * Renders a crop together with its variants from a single render, instead of one render for the output
+ * and another for the variants. That render is only as large as the largest variant (or the output) needs,
+ * at most the source resolution, so adjustments only process the pixels that are used.
+ *
+ * @param {HTMLImageElement} image
+ * @param {Object} options
+ *     renderCrop options for the output.
+ *
+ * @param {Array} variants
+ *     As for renderVariants.
+ *
+ * @param {Object} variantOptions
+ *     - quality: {number} Encoder quality for variants without one.
+ *
+ * Resolves to { canvas, outputSize, variants } with the output like renderCrop's and the variants like
+ * renderVariants'.
+ */
+export const renderCropWithVariants = async (image, options, variants, { quality } = {}) => {
+    const { mimeType = 'image/png', cropShape = 'rect', backgroundColor = '#ffffff' } = options;
+    const { canvasWidth, canvasHeight } = options;
+    const sourceSize = getRenderOutputSize(image, { ...options, output: 'source' });
+    const outputSize = getRenderOutputSize(image, options);
+
+    // Fraction of the source resolution each variant needs, for its centered cover region
+    const scales = variants.map((variant) => {
+        const size = getOutputSize(variant, sourceSize.width, sourceSize.height, canvasWidth, canvasHeight);
+        const rect = getCoverRect(sourceSize.width, sourceSize.height, size.width / size.height);
+        return Math.max(size.width / rect.width, size.height / rect.height);
+    });
+    // The output shares the render unless it is upscaled
+    const outputScale = Math.max(outputSize.width / sourceSize.width, outputSize.height / sourceSize.height);
+    if (outputScale <= 1) scales.push(outputScale);
+    const scale = Math.min(1, Math.max(...scales));
+
+    // With alpha so shaped crops stay transparent in the variants whose format allows it
+    const { canvas: sharedCanvas } = renderCrop(image, {
+        ...options,
+        output: scale < 1
+            ? { width: Math.round(sourceSize.width * scale), height: Math.round(sourceSize.height * scale) }
+            : 'source',
+        mimeType: 'image/png',
+    });
+    const downscale = createDownscaler(sharedCanvas);
+
+    let canvas;
+    const isSharedSize = outputSize.width === sharedCanvas.width && outputSize.height === sharedCanvas.height;
+    if (isSharedSize && (cropShape === 'rect' || mimeTypeSupportsAlpha(mimeType))) {
+        // Same pixels as the shared render
+        canvas = sharedCanvas;
+    } else if (outputSize.width <= sharedCanvas.width && outputSize.height <= sharedCanvas.height) {
+        canvas = downscale(outputSize.width, outputSize.height);
+        if (!mimeTypeSupportsAlpha(mimeType)) fillBackground(canvas, backgroundColor);
+    } else {
+        // Upscaled output is drawn from the image itself
+        ({ canvas } = renderCrop(image, options));
+    }
+
+    const variantResults = await renderVariants(sharedCanvas, variants, {
+        mimeType,
+        quality,
+        backgroundColor,
+        canvasWidth,
+        canvasHeight,
+        downscale,
+    });
+    return { canvas, outputSize, variants: variantResults };
+};
+
+// Crops an image File without the editor, e.g. to apply one crop to a whole batch. cropData is an
+// ImageCropper onChange payload (crop, zoomLevel, pan, rotation, straighten, flips, backgroundColor,
+// adjustments); options are the editor's width/height and output props. Resolves to the cropped File.
+export const cropImageFile = async (file, cropData, options = {}) => {
+    const {
+        width = 400,
+        height = 400,
+        output,
+        outputFormat,
+        outputQuality = 0.92,
+        cropShape = 'rect',
+        cropRadius = 16,
+        preserveMetadata = false,
+    } = options;
+
+    const fileUrl = URL.createObjectURL(file);
+    try {
+        const metadata = await readImageMetadata(file);
+        const { src, objectUrl } = await getUprightImageSource(fileUrl, metadata?.orientation ?? 1);
+        let image;
+        try {
+            image = await loadImage(src);
+        } finally {
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        }
+
+        const { crop, zoomLevel = 1, pan, rotation = 0, straighten = 0, flipH = false, flipV = false } = cropData;
+        const transform = { rotation, straighten, flipH, flipV };
+        let pixelCrop = {
+            x: (crop.x / 100) * width,
+            y: (crop.y / 100) * height,
+            width: (crop.width / 100) * width,
+            height: (crop.height / 100) * height,
+        };
+        // An image of another shape may leave a straightened crop over empty corners
+        if (straighten) {
+            const layout = getImageLayout(image, width, height, zoomLevel, rotation, pan);
+            if (!isCropInsideRotatedImage(pixelCrop, layout, straighten)) {
+                pixelCrop = fitCropInRotatedImage(pixelCrop, layout, straighten);
+            }
+        }
+
+        const mimeType = resolveOutputMimeType(outputFormat, file.type);
+        const { canvas } = renderCrop(image, {
+            canvasWidth: width,
+            canvasHeight: height,
+            pixelCrop,
+            zoom: zoomLevel,
+            pan,
+            transform,
+            output,
+            mimeType,
+            cropShape,
+            cropRadius,
+            backgroundColor: cropData.backgroundColor,
+            adjustments: cropData.adjustments,
+        });
+
+        let blob = await encodeCanvas(canvas, mimeType, outputQuality);
+        const metadataOptions = resolveMetadataOptions(preserveMetadata);
+        if (metadataOptions) {
+            blob = await writeJpegMetadata(blob, metadata, metadataOptions);
+        }
+        return new File([blob], getOutputFileName(file.name, blob.type), { type: blob.type });
+    } finally {
+        URL.revokeObjectURL(fileUrl);
+    }
+};
@@ -0,0 +1,144 @@
+import { loadImage, mimeTypeSupportsAlpha } from './imageCropperUtils.js';
+
+// Checks a file against an <input accept> string such as 'image/*,.pdf'; an empty type only matches '*/*'
+export const matchesAccept = (file, accept = '*/*') => {
+    const patterns = accept.split(',').map((pattern) => pattern.trim().toLowerCase()).filter(Boolean);
+    if (!patterns.length) return true;
+
+    const name = (file.name || '').toLowerCase();
+    const type = (file.type || '').toLowerCase();
+    return patterns.some((pattern) => {
+        if (pattern === '*/*' || pattern === '*') return true;
+        if (pattern.startsWith('.')) return name.endsWith(pattern);
+        if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+        return type === pattern;
+    });
+};
+
+// Hidden system files that folders carry along, like .DS_Store
+const isHiddenFile = (name) => name.startsWith('.');
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries returns at most ~100 entries per call, so keep reading until it comes back empty
+const readDirectoryEntries = async (directory) => {
+    const reader = directory.createReader();
+    const entries = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        entries.push(...batch);
+    } while (batch.length);
+    return entries;
+};
+
+const walkEntry = async (entry) => {
+    if (isHiddenFile(entry.name)) return [];
+    if (entry.isFile) return [await readEntryFile(entry)];
+    if (!entry.isDirectory) return [];
+
+    const files = [];
+    for (const child of await readDirectoryEntries(entry)) {
+        files.push(...(await walkEntry(child)));
+    }
+    return files;
+};
+
+// Resolves the files of a drop event, walking any dropped folders recursively
+export const getDroppedFiles = async (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []).filter((item) => item.kind === 'file');
+    // Entries must be taken synchronously; the DataTransfer is emptied once the event handler returns
+    const entries = items.map((item) => item.webkitGetAsEntry?.());
+    if (!entries.length || entries.some((entry) => !entry)) {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        files.push(...(await walkEntry(entry)));
+    }
+    return files;
+};
+
+// MIME types of the files being dragged, readable before the drop. Folders and some browsers report ''.
+export const getDraggedFileTypes = (dataTransfer) => {
+    return Array.from(dataTransfer?.items || [])
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.type);
+};
+
+// Screenshots arrive as a generic "image.png"; name them after the time they were pasted
+export const getPastedFileName = (mimeType, date = new Date()) => {
+    const extension = (mimeType.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+    const pad = (value) => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        + ` ${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    return `Pasted image ${stamp}.${extension}`;
+};
+
+// Files from a paste event. Copied files keep their names; raw image data is named automatically.
+export const getPastedFiles = (clipboardData, date = new Date()) => {
+    const files = Array.from(clipboardData?.items || [])
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.getAsFile())
+        .filter(Boolean);
+
+    return files.map((file, index) => {
+        if (file.name && !/^image\.\w+$/.test(file.name)) return file;
+        const name = getPastedFileName(file.type, date);
+        const uniqueName = files.length > 1 ? name.replace(/(\.\w+)$/, ` (${index + 1})$1`) : name;
+        return new File([file], uniqueName, { type: file.type, lastModified: date.getTime() });
+    });
+};
+
+// Human-readable size in binary units, matching the maxFileSize message: 512 B, 1.5 KB, 12.3 MB
+export const formatFileSize = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit ? size.toFixed(1) : size} ${units[unit]}`;
+};
+
+const loadImageInfo = async (file, thumbnailSize) => {
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await loadImage(url);
+        const width = image.naturalWidth;
+        const height = image.naturalHeight;
+        const scale = Math.min(1, thumbnailSize / Math.max(width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        // A few KB as a data URL, so the thumbnail holds no object URL that would need revoking
+        const thumbnailType = mimeTypeSupportsAlpha(file.type) ? 'image/png' : 'image/jpeg';
+        return { width, height, thumbnail: canvas.toDataURL(thumbnailType, 0.8) };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Decoded files by File, then by thumbnail size, so re-renders and remounts of the list don't decode the
+// same File twice
+const imageInfoCache = new WeakMap();
+
+// Resolves { width, height, thumbnail } for an image File; the thumbnail's longer side is at most thumbnailSize
+export const getImageInfo = (file, thumbnailSize = 96) => {
+    if (!imageInfoCache.has(file)) imageInfoCache.set(file, new Map());
+    const sizes = imageInfoCache.get(file);
+    if (!sizes.has(thumbnailSize)) {
+        const info = loadImageInfo(file, thumbnailSize);
+        sizes.set(thumbnailSize, info);
+        // A failed decode may be transient, so the next call tries again
+        info.catch(() => sizes.delete(thumbnailSize));
+    }
+    return sizes.get(thumbnailSize);
+};
@@ -0,0 +1,135 @@
+// Neutral values; brightness to warmth range from -100 to 100, grayscale to sharpen from 0 to 100
+export const DEFAULT_ADJUSTMENTS = {
+    brightness: 0,
+    contrast: 0,
+    saturation: 0,
+    exposure: 0,
+    warmth: 0,
+    grayscale: 0,
+    sepia: 0,
+    sharpen: 0,
+};
+
+// One-click looks offered next to the sliders
+export const ADJUSTMENT_PRESETS = [
+    { label: 'None', value: { grayscale: 0, sepia: 0 } },
+    { label: 'Grayscale', value: { grayscale: 100, sepia: 0 } },
+    { label: 'Sepia', value: { grayscale: 0, sepia: 100 } },
+];
+
+// Checks whether any adjustment differs from neutral
+export const hasAdjustments = (adjustments = {}) => {
+    return Object.keys(DEFAULT_ADJUSTMENTS).some((key) => (adjustments[key] ?? 0) !== DEFAULT_ADJUSTMENTS[key]);
+};
+
+// Lookup table for the per-channel steps: exposure (±2 stops), brightness offset and contrast
+const buildToneTable = ({ exposure = 0, brightness = 0, contrast = 0 }) => {
+    const table = new Float32Array(256);
+    const exposureFactor = Math.pow(2, exposure / 50);
+    const brightnessOffset = (brightness / 100) * 128;
+    const contrastLevel = contrast * 2.55;
+    const contrastFactor = (259 * (contrastLevel + 255)) / (255 * (259 - contrastLevel));
+
+    for (let value = 0; value < 256; value++) {
+        const exposed = value * exposureFactor + brightnessOffset;
+        table[value] = contrastFactor * (exposed - 128) + 128;
+    }
+    return table;
+};
+
+// Unsharp mask: adds back the difference between each pixel and a 3x3 box blur of its neighbours
+const sharpenPixels = (data, width, height, amount) => {
+    const source = new Uint8ClampedArray(data);
+    const strength = (amount / 100) * 1.5;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                let sum = 0;
+                let count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const row = y + dy;
+                    if (row < 0 || row >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const column = x + dx;
+                        if (column < 0 || column >= width) continue;
+                        sum += source[(row * width + column) * 4 + channel];
+                        count++;
+                    }
+                }
+                const original = source[index + channel];
+                data[index + channel] = original + (original - sum / count) * strength;
+            }
+        }
+    }
+};
+
+// Applies the adjustments in place to RGBA pixel data, e.g. ImageData.data. Alpha is left untouched.
+export const adjustPixels = (data, width, height, adjustments = {}) => {
+    const { saturation = 0, warmth = 0, grayscale = 0, sepia = 0, sharpen = 0 } = adjustments;
+    const toneTable = buildToneTable(adjustments);
+    const saturationFactor = 1 + saturation / 100;
+    const warmthShift = (warmth / 100) * 30;
+    const grayscaleMix = grayscale / 100;
+    const sepiaMix = sepia / 100;
+
+    for (let index = 0; index < data.length; index += 4) {
+        let r = toneTable[data[index]];
+        let g = toneTable[data[index + 1]];
+        let b = toneTable[data[index + 2]];
+
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        r = luminance + (r - luminance) * saturationFactor;
+        g = luminance + (g - luminance) * saturationFactor;
+        b = luminance + (b - luminance) * saturationFactor;
+
+        r += warmthShift;
+        b -= warmthShift;
+
+        if (grayscaleMix) {
+            const gray = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            r += (gray - r) * grayscaleMix;
+            g += (gray - g) * grayscaleMix;
+            b += (gray - b) * grayscaleMix;
+        }
+
+        if (sepiaMix) {
+            const sepiaR = 0.393 * r + 0.769 * g + 0.189 * b;
+            const sepiaG = 0.349 * r + 0.686 * g + 0.168 * b;
+            const sepiaB = 0.272 * r + 0.534 * g + 0.131 * b;
+            r += (sepiaR - r) * sepiaMix;
+            g += (sepiaG - g) * sepiaMix;
+            b += (sepiaB - b) * sepiaMix;
+        }
+
+        // Uint8ClampedArray rounds and clamps to 0-255
+        data[index] = r;
+        data[index + 1] = g;
+        data[index + 2] = b;
+    }
+
+    if (sharpen > 0) {
+        sharpenPixels(data, width, height, sharpen);
+    }
+    return data;
+};
+
+// Applies the adjustments in place to everything drawn on a canvas
+export const adjustCanvas = (canvas, adjustments) => {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    adjustPixels(imageData.data, canvas.width, canvas.height, adjustments);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+};
+
+// Renders an adjusted copy of an image, downscaled so its longer side is at most maxSize
+export const renderAdjustedImage = (image, adjustments, maxSize = Infinity) => {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return adjustCanvas(canvas, adjustments);
+};
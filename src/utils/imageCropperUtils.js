@@ -4,17 +4,75 @@ export const getCanvasAspectRatio = (width, height) => {
     return width / height;
 };
 
-// Calculates the minimum and maximum crop width based on canvas dimensions and aspect ratio
-export const getCropWidthLimits = (canvasWidth, canvasHeight, aspectRatio) => {
-    const MIN_CROP_WIDTH = 10;
+// Default presets offered by the aspect ratio switcher
+export const ASPECT_RATIO_PRESETS = [
+    { label: 'Free', value: null },
+    { label: '1:1', value: 1 },
+    { label: '4:3', value: 4 / 3 },
+    { label: '16:9', value: 16 / 9 },
+    { label: 'Original', value: 'original' },
+];
+
+// Normalizes an aspect ratio entry (number, 'W:H' string, 'original', null or { label, value }) into a preset
+export const toAspectRatioPreset = (preset) => {
+    if (preset === null) return { label: 'Free', value: null };
+    if (typeof preset === 'object') return preset;
+    if (preset === 'original') return { label: 'Original', value: 'original' };
+    if (typeof preset === 'string') {
+        const [ratioWidth, ratioHeight] = preset.split(':').map(Number);
+        return { label: preset, value: getCanvasAspectRatio(ratioWidth, ratioHeight) };
+    }
+    return { label: `${parseFloat(preset.toFixed(2))}`, value: preset };
+};
+
+// Resolves a preset value to a numeric aspect ratio, or null for free-form cropping
+export const resolveAspectRatio = (value, imageWidth, imageHeight) => {
+    if (value === null) return null;
+    if (value === 'original') {
+        // The image's own ratio is unknown until it has loaded
+        return imageWidth && imageHeight ? getCanvasAspectRatio(imageWidth, imageHeight) : null;
+    }
+    return value;
+};
+
+// Calculates the minimum and maximum crop width and height based on canvas dimensions and aspect ratio.
+// minSize raises the minimum above MIN_CROP_SIZE, e.g. to keep enough source pixels; it never exceeds the maximum.
+export const getCropWidthLimits = (canvasWidth, canvasHeight, aspectRatio, minSize = {}) => {
+    const MIN_CROP_SIZE = 10;
+    const minWidth = Math.max(MIN_CROP_SIZE, minSize.width || 0);
+    const minHeight = Math.max(MIN_CROP_SIZE, minSize.height || 0);
+
+    if (!aspectRatio) {
+        return {
+            MIN_CROP_WIDTH: Math.min(minWidth, canvasWidth),
+            MAX_CROP_WIDTH: canvasWidth,
+            MIN_CROP_HEIGHT: Math.min(minHeight, canvasHeight),
+            MAX_CROP_HEIGHT: canvasHeight,
+        };
+    }
+
+    // Keep both sides at their minimum while preserving the ratio
     const MAX_CROP_WIDTH = Math.min(canvasWidth, canvasHeight * aspectRatio);
-    return { MIN_CROP_WIDTH, MAX_CROP_WIDTH };
+    const MIN_CROP_WIDTH = Math.min(MAX_CROP_WIDTH, Math.max(minWidth, minHeight * aspectRatio));
+    return {
+        MIN_CROP_WIDTH,
+        MAX_CROP_WIDTH,
+        MIN_CROP_HEIGHT: MIN_CROP_WIDTH / aspectRatio,
+        MAX_CROP_HEIGHT: MAX_CROP_WIDTH / aspectRatio,
+    };
+};
+
+// Returns the image size after rotating it by rotation degrees in 90° steps
+export const getOrientedImageSize = (image, rotation = 0) => {
+    const quarterTurns = Math.abs(Math.round(rotation / 90)) % 4;
+    return quarterTurns % 2 === 1
+        ? { width: image.height, height: image.width }
+        : { width: image.width, height: image.height };
 };
 
 // Determines the scaled dimensions and offsets for rendering an image within a canvas
-export const calculateImageDimensions = (image, canvasWidth, canvasHeight) => {
-    const imageWidth = image.width;
-    const imageHeight = image.height;
+export const calculateImageDimensions = (image, canvasWidth, canvasHeight, rotation = 0) => {
+    const { width: imageWidth, height: imageHeight } = getOrientedImageSize(image, rotation);
     let renderWidth, renderHeight, offsetX, offsetY;
 
     const widthScale = canvasWidth / imageWidth;
@@ -28,8 +86,20 @@ export const calculateImageDimensions = (image, canvasWidth, canvasHeight) => {
     return { renderWidth, renderHeight, offsetX, offsetY };
 };
 
-// Calculates the crop area dimensions and position, ensuring it fits within the image
-export const calculateCropArea = (cropWidthState, width, height, aspectRatio) => {
+// Calculates the crop area dimensions and position, ensuring it fits within the image.
+// With a null aspectRatio the width and height are independent and cropHeightState is used.
+export const calculateCropArea = (cropWidthState, width, height, aspectRatio, cropHeightState = cropWidthState) => {
+    if (!aspectRatio) {
+        const cropWidth = Math.min(cropWidthState, width);
+        const cropHeight = Math.min(cropHeightState, height);
+        return {
+            x: (width - cropWidth) / 2,
+            y: (height - cropHeight) / 2,
+            width: cropWidth,
+            height: cropHeight,
+        };
+    }
+
     let cropWidth = cropWidthState;
     let cropHeight = cropWidth / aspectRatio;
 
@@ -46,18 +116,428 @@ export const calculateCropArea = (cropWidthState, width, height, aspectRatio) =>
     };
 };
 
-// Generates crop handle positions for resizing the crop area
-export const getCropHandles = (cropArea, cropSettings, resolutionScale) => {
-    const CROP_HANDLE_SIZE = cropSettings.handleSize / resolutionScale;
+// Returns the hit-test size of crop handles in canvas pixels; fingers and pens get a larger target
+export const getHandleHitSize = (cropSettings, resolutionScale, pointerType = 'mouse') => {
+    const TOUCH_HANDLE_HIT_SIZE = 24;
+    const handleSize = cropSettings.handleSize / resolutionScale;
+    return pointerType === 'mouse' ? handleSize : Math.max(handleSize, TOUCH_HANDLE_HIT_SIZE);
+};
+
+// Generates crop handle positions for resizing the crop area.
+// For a round crop the corner handles sit on the ellipse at 45° instead of on the bounding box corners.
+export const getCropHandles = (cropArea, cropSettings, resolutionScale, cropShape = 'rect') => {
+    const centerX = cropArea.x + cropArea.width / 2;
+    const centerY = cropArea.y + cropArea.height / 2;
+    const cornerInsetX = cropShape === 'round' ? (cropArea.width / 2) * (1 - Math.SQRT1_2) : 0;
+    const cornerInsetY = cropShape === 'round' ? (cropArea.height / 2) * (1 - Math.SQRT1_2) : 0;
+    const left = cropArea.x + cornerInsetX;
+    const right = cropArea.x + cropArea.width - cornerInsetX;
+    const top = cropArea.y + cornerInsetY;
+    const bottom = cropArea.y + cropArea.height - cornerInsetY;
 
     return [
-        { name: 'tl', x: cropArea.x, y: cropArea.y }, // Top-left handle
-        { name: 'tr', x: cropArea.x + cropArea.width, y: cropArea.y }, // Top-right handle
-        { name: 'bl', x: cropArea.x, y: cropArea.y + cropArea.height }, // Bottom-left handle
-        { name: 'br', x: cropArea.x + cropArea.width, y: cropArea.y + cropArea.height }, // Bottom-right handle
-        { name: 't', x: cropArea.x + cropArea.width / 2, y: cropArea.y }, // Top-center handle
-        { name: 'b', x: cropArea.x + cropArea.width / 2, y: cropArea.y + cropArea.height }, // Bottom-center handle
-        { name: 'l', x: cropArea.x, y: cropArea.y + cropArea.height / 2 }, // Left-center handle
-        { name: 'r', x: cropArea.x + cropArea.width, y: cropArea.y + cropArea.height / 2 }, // Right-center handle
+        { name: 'tl', x: left, y: top }, // Top-left handle
+        { name: 'tr', x: right, y: top }, // Top-right handle
+        { name: 'bl', x: left, y: bottom }, // Bottom-left handle
+        { name: 'br', x: right, y: bottom }, // Bottom-right handle
+        { name: 't', x: centerX, y: cropArea.y }, // Top-center handle
+        { name: 'b', x: centerX, y: cropArea.y + cropArea.height }, // Bottom-center handle
+        { name: 'l', x: cropArea.x, y: centerY }, // Left-center handle
+        { name: 'r', x: cropArea.x + cropArea.width, y: centerY }, // Right-center handle
     ];
 };
+
+// Returns the point on the crop's bounding box that a handle resizes, e.g. the bottom-right corner for 'br'
+export const getHandleEdgePoint = (cropArea, handleName) => {
+    const centerX = cropArea.x + cropArea.width / 2;
+    const centerY = cropArea.y + cropArea.height / 2;
+    return {
+        x: handleName.includes('l') ? cropArea.x : handleName.includes('r') ? cropArea.x + cropArea.width : centerX,
+        y: handleName.includes('t') ? cropArea.y : handleName.includes('b') ? cropArea.y + cropArea.height : centerY,
+    };
+};
+
+// Fractions of the crop size where the composition guides run; golden splits at 1 / φ² ≈ 0.382
+const GOLDEN_SECTION = (3 - Math.sqrt(5)) / 2;
+const GUIDE_FRACTIONS = {
+    thirds: [1 / 3, 2 / 3],
+    golden: [GOLDEN_SECTION, 1 - GOLDEN_SECTION],
+    center: [0.5],
+};
+
+// Returns the line segments [x1, y1, x2, y2] of a composition guide across a crop area:
+// 'thirds' (rule of thirds), 'golden' (golden ratio), 'center' (center cross) or 'diagonal'
+export const getCropGuideLines = (cropArea, guide) => {
+    const { x, y, width, height } = cropArea;
+    if (guide === 'diagonal') {
+        return [
+            [x, y, x + width, y + height],
+            [x + width, y, x, y + height],
+        ];
+    }
+    return (GUIDE_FRACTIONS[guide] || []).flatMap((fraction) => [
+        [x + width * fraction, y, x + width * fraction, y + height],
+        [x, y + height * fraction, x + width, y + height * fraction],
+    ]);
+};
+
+// Draws a small label centered below a crop area, or just inside its bottom edge when there is no room below
+export const drawCropLabel = (ctx, text, cropArea, canvasWidth, canvasHeight) => {
+    const padding = 4;
+    const fontSize = 12;
+    ctx.save();
+    ctx.font = `${fontSize}px sans-serif`;
+    const labelWidth = ctx.measureText(text).width + padding * 2;
+    const labelHeight = fontSize + padding * 2;
+    const below = cropArea.y + cropArea.height + padding;
+    const x = Math.max(0, Math.min(cropArea.x + (cropArea.width - labelWidth) / 2, canvasWidth - labelWidth));
+    const y = below + labelHeight <= canvasHeight ? below : cropArea.y + cropArea.height - labelHeight - padding;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x, y, labelWidth, labelHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + labelWidth / 2, y + labelHeight / 2);
+    ctx.restore();
+};
+
+// Clamps the corner radius of a rounded crop so it never exceeds half of either side
+const getCropCornerRadius = (cropArea, radius) => {
+    return Math.max(0, Math.min(radius, cropArea.width / 2, cropArea.height / 2));
+};
+
+// Adds the crop shape to the current canvas path: 'rect', 'round' (ellipse in the box) or 'rounded'
+export const traceCropShape = (ctx, cropArea, cropShape = 'rect', radius = 0) => {
+    const { x, y, width, height } = cropArea;
+
+    if (cropShape === 'round') {
+        ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        return;
+    }
+    if (cropShape === 'rounded') {
+        const r = getCropCornerRadius(cropArea, radius);
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + width, y, x + width, y + height, r);
+        ctx.arcTo(x + width, y + height, x, y + height, r);
+        ctx.arcTo(x, y + height, x, y, r);
+        ctx.arcTo(x, y, x + width, y, r);
+        ctx.closePath();
+        return;
+    }
+    ctx.rect(x, y, width, height);
+};
+
+// Checks whether a canvas point falls inside the crop shape
+export const isPointInCropShape = (x, y, cropArea, cropShape = 'rect', radius = 0) => {
+    const insideBox =
+        x >= cropArea.x &&
+        x <= cropArea.x + cropArea.width &&
+        y >= cropArea.y &&
+        y <= cropArea.y + cropArea.height;
+    if (!insideBox || cropShape === 'rect') return insideBox;
+
+    const centerX = cropArea.x + cropArea.width / 2;
+    const centerY = cropArea.y + cropArea.height / 2;
+    if (cropShape === 'round') {
+        const dx = (x - centerX) / (cropArea.width / 2);
+        const dy = (y - centerY) / (cropArea.height / 2);
+        return dx * dx + dy * dy <= 1;
+    }
+
+    // Rounded rectangle: only the corner squares need the distance check
+    const r = getCropCornerRadius(cropArea, radius);
+    const cornerX = Math.max(Math.abs(x - centerX) - (cropArea.width / 2 - r), 0);
+    const cornerY = Math.max(Math.abs(y - centerY) - (cropArea.height / 2 - r), 0);
+    return cornerX * cornerX + cornerY * cornerY <= r * r;
+};
+
+
+// Clamps a zoom level to [minZoom, maxZoom], rounded to avoid floating point drift from repeated steps
+export const clampZoom = (zoom, minZoom, maxZoom) => {
+    return Math.round(Math.max(minZoom, Math.min(zoom, maxZoom)) * 1000) / 1000;
+};
+
+// Returns the pan offset that keeps the canvas point (anchorX, anchorY) fixed while zooming
+export const getAnchoredPan = (pan, zoom, newZoom, anchorX, anchorY, canvasWidth, canvasHeight) => {
+    const ratio = newZoom / zoom;
+    const anchorOffsetX = anchorX - canvasWidth / 2;
+    const anchorOffsetY = anchorY - canvasHeight / 2;
+    return {
+        x: anchorOffsetX - (anchorOffsetX - pan.x) * ratio,
+        y: anchorOffsetY - (anchorOffsetY - pan.y) * ratio,
+    };
+};
+
+// Keeps the image center inside the canvas so the image can't be dragged out of reach
+export const clampPan = (pan, canvasWidth, canvasHeight) => {
+    return {
+        x: Math.max(-canvasWidth / 2, Math.min(pan.x, canvasWidth / 2)),
+        y: Math.max(-canvasHeight / 2, Math.min(pan.y, canvasHeight / 2)),
+    };
+};
+
+// Returns the zoom at which the image covers the whole canvas (zoom 1 fits it inside)
+export const getFillZoom = (image, canvasWidth, canvasHeight, rotation = 0) => {
+    const { renderWidth, renderHeight } = calculateImageDimensions(image, canvasWidth, canvasHeight, rotation);
+    return Math.max(canvasWidth / renderWidth, canvasHeight / renderHeight);
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Rotates a point around the origin by angle degrees
+export const rotatePoint = (x, y, angle) => {
+    const radians = toRadians(angle);
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+// Computes where the rotated, zoomed and panned image sits on the canvas, before any straighten angle.
+// pan offsets the image center from the canvas center; scale is canvas pixels per source image pixel.
+export const getImageLayout = (image, canvasWidth, canvasHeight, zoom, rotation = 0, pan = { x: 0, y: 0 }) => {
+    const { width: orientedWidth } = getOrientedImageSize(image, rotation);
+    const { renderWidth, renderHeight, offsetX, offsetY } = calculateImageDimensions(
+        image,
+        canvasWidth,
+        canvasHeight,
+        rotation
+    );
+    const width = renderWidth * zoom;
+    const height = renderHeight * zoom;
+    const x = offsetX + (renderWidth - width) / 2 + pan.x;
+    const y = offsetY + (renderHeight - height) / 2 + pan.y;
+
+    return {
+        x,
+        y,
+        width,
+        height,
+        centerX: x + width / 2,
+        centerY: y + height / 2,
+        scale: width / orientedWidth,
+    };
+};
+
+// Draws the image into its layout, applying the 90° rotation, then the flips, then the straighten angle.
+// source may be a resized copy of image (e.g. with adjustments applied); it is drawn at image's size.
+export const drawTransformedImage = (ctx, image, layout, transform = {}, source = image) => {
+    const { rotation = 0, straighten = 0, flipH = false, flipV = false } = transform;
+    const drawWidth = image.width * layout.scale;
+    const drawHeight = image.height * layout.scale;
+
+    ctx.save();
+    ctx.translate(layout.centerX, layout.centerY);
+    ctx.rotate(toRadians(straighten));
+    ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+    ctx.rotate(toRadians(rotation));
+    ctx.drawImage(source, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+};
+
+// Maps a crop area in canvas pixels to the matching rectangle in source image pixels.
+// With a transform the rectangle is expressed in the frame of the image after rotation and flips,
+// with straighten applied as a rotation around the image center.
+export const getSourceCropRect = (pixelCrop, image, canvasWidth, canvasHeight, zoom, transform = {}, pan) => {
+    const { rotation = 0, straighten = 0 } = transform;
+    const layout = getImageLayout(image, canvasWidth, canvasHeight, zoom, rotation, pan);
+    const oriented = getOrientedImageSize(image, rotation);
+    const center = rotatePoint(
+        pixelCrop.x + pixelCrop.width / 2 - layout.centerX,
+        pixelCrop.y + pixelCrop.height / 2 - layout.centerY,
+        -straighten
+    );
+    const srcWidth = pixelCrop.width / layout.scale;
+    const srcHeight = pixelCrop.height / layout.scale;
+
+    return {
+        srcX: center.x / layout.scale + oriented.width / 2 - srcWidth / 2,
+        srcY: center.y / layout.scale + oriented.height / 2 - srcHeight / 2,
+        srcWidth,
+        srcHeight,
+    };
+};
+
+// Returns the crop corners relative to the image center, in the image's unrotated frame
+const getCropCornersInImageFrame = (pixelCrop, layout, angle) => {
+    return [
+        [pixelCrop.x, pixelCrop.y],
+        [pixelCrop.x + pixelCrop.width, pixelCrop.y],
+        [pixelCrop.x, pixelCrop.y + pixelCrop.height],
+        [pixelCrop.x + pixelCrop.width, pixelCrop.y + pixelCrop.height],
+    ].map(([x, y]) => rotatePoint(x - layout.centerX, y - layout.centerY, -angle));
+};
+
+// Checks whether a crop area lies fully inside the image rotated by angle degrees
+export const isCropInsideRotatedImage = (pixelCrop, layout, angle) => {
+    const tolerance = 0.01;
+    return getCropCornersInImageFrame(pixelCrop, layout, angle).every(
+        ({ x, y }) =>
+            Math.abs(x) <= layout.width / 2 + tolerance && Math.abs(y) <= layout.height / 2 + tolerance
+    );
+};
+
+// Shrinks a crop area around its center until it lies inside the image rotated by angle degrees.
+// The aspect ratio of the crop is preserved.
+export const fitCropInRotatedImage = (pixelCrop, layout, angle) => {
+    const halfWidth = layout.width / 2;
+    const halfHeight = layout.height / 2;
+
+    // Pull the crop center into the image first, in the image's own frame
+    const rawCenter = rotatePoint(
+        pixelCrop.x + pixelCrop.width / 2 - layout.centerX,
+        pixelCrop.y + pixelCrop.height / 2 - layout.centerY,
+        -angle
+    );
+    const center = {
+        x: Math.max(-halfWidth, Math.min(rawCenter.x, halfWidth)),
+        y: Math.max(-halfHeight, Math.min(rawCenter.y, halfHeight)),
+    };
+
+    // Largest scale for which every corner offset stays within the image half extents
+    let scale = 1;
+    const limitScale = (position, offset, halfExtent) => {
+        if (position + offset > halfExtent) scale = Math.min(scale, (halfExtent - position) / offset);
+        if (position + offset < -halfExtent) scale = Math.min(scale, (-halfExtent - position) / offset);
+    };
+    [
+        [-1, -1],
+        [1, -1],
+        [-1, 1],
+        [1, 1],
+    ].forEach(([signX, signY]) => {
+        const offset = rotatePoint((signX * pixelCrop.width) / 2, (signY * pixelCrop.height) / 2, -angle);
+        limitScale(center.x, offset.x, halfWidth);
+        limitScale(center.y, offset.y, halfHeight);
+    });
+
+    const canvasCenter = rotatePoint(center.x, center.y, angle);
+    const width = pixelCrop.width * scale;
+    const height = pixelCrop.height * scale;
+    return {
+        x: layout.centerX + canvasCenter.x - width / 2,
+        y: layout.centerY + canvasCenter.y - height / 2,
+        width,
+        height,
+    };
+};
+
+// Resolves the exported image size for a source crop of srcWidth x srcHeight.
+// output may be 'source', { width, height }, { maxWidth, maxHeight } or undefined (fit the editor canvas).
+export const getOutputSize = (output, srcWidth, srcHeight, canvasWidth, canvasHeight) => {
+    let outputWidth;
+    let outputHeight;
+
+    if (output === 'source') {
+        outputWidth = srcWidth;
+        outputHeight = srcHeight;
+    } else if (output?.width || output?.height) {
+        // A single fixed side keeps the crop's aspect ratio
+        outputWidth = output.width ?? (output.height * srcWidth) / srcHeight;
+        outputHeight = output.height ?? (output.width * srcHeight) / srcWidth;
+    } else if (output?.maxWidth || output?.maxHeight) {
+        // Only ever scale down, never upscale past the source pixels
+        const scale = Math.min(
+            1,
+            (output.maxWidth ?? Infinity) / srcWidth,
+            (output.maxHeight ?? Infinity) / srcHeight
+        );
+        outputWidth = srcWidth * scale;
+        outputHeight = srcHeight * scale;
+    } else {
+        const scale = Math.min(canvasWidth / srcWidth, canvasHeight / srcHeight);
+        outputWidth = srcWidth * scale;
+        outputHeight = srcHeight * scale;
+    }
+
+    return {
+        width: Math.max(1, Math.round(outputWidth)),
+        height: Math.max(1, Math.round(outputHeight)),
+    };
+};
+
+// MIME types the cropper can encode, keyed by the outputFormat prop value
+export const OUTPUT_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+};
+
+const MIME_TYPE_EXTENSIONS = {
+    'image/png': ['png'],
+    'image/jpeg': ['jpg', 'jpeg'],
+    'image/webp': ['webp'],
+};
+
+// Picks the output MIME type: an explicit format wins, then the input's own type, then PNG
+export const resolveOutputMimeType = (outputFormat, inputType) => {
+    if (outputFormat) {
+        // Accept both 'jpeg' and 'image/jpeg'
+        return OUTPUT_FORMATS[outputFormat.replace('image/', '')] || 'image/png';
+    }
+    if (inputType && MIME_TYPE_EXTENSIONS[inputType]) return inputType;
+    return 'image/png';
+};
+
+// Reads the MIME type from a data URL, e.g. 'data:image/jpeg;base64,...' -> 'image/jpeg'
+export const getDataUrlMimeType = (url) => {
+    const match = /^data:([^;,]+)/.exec(url || '');
+    return match ? match[1] : null;
+};
+
+// JPEG has no alpha channel, so shaped crops are flattened onto the background color
+export const mimeTypeSupportsAlpha = (mimeType) => mimeType !== 'image/jpeg';
+
+// Swaps the file extension for one matching mimeType, keeping it when it already matches
+export const getOutputFileName = (fileName, mimeType) => {
+    const extensions = MIME_TYPE_EXTENSIONS[mimeType] || ['png'];
+    const name = fileName || 'cropped-image';
+    const dotIndex = name.lastIndexOf('.');
+    const baseName = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    const extension = dotIndex > 0 ? name.slice(dotIndex + 1).toLowerCase() : '';
+    if (extensions.includes(extension)) return name;
+    return `${baseName}.${extensions[0]}`;
+};
+
+// Promise wrapper around canvas.toBlob, the main-thread encoding path
+export const canvasToBlob = (canvas, mimeType, quality) => {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode cropped image.'))),
+            mimeType,
+            quality
+        );
+    });
+};
+
+// Loads an image element from a URL
+export const loadImage = (src) => {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Failed to load image.'));
+        image.src = src;
+    });
+};
+
+// Reshapes a crop area to a new aspect ratio around its center, keeping its width where it fits the canvas
+export const conformCropToAspectRatio = (pixelCrop, aspectRatio, canvasWidth, canvasHeight) => {
+    if (!aspectRatio) return pixelCrop;
+
+    let width = Math.min(pixelCrop.width, canvasWidth);
+    let height = width / aspectRatio;
+    if (height > canvasHeight) {
+        height = canvasHeight;
+        width = height * aspectRatio;
+    }
+
+    const centerX = pixelCrop.x + pixelCrop.width / 2;
+    const centerY = pixelCrop.y + pixelCrop.height / 2;
+    return {
+        x: Math.max(0, Math.min(centerX - width / 2, canvasWidth - width)),
+        y: Math.max(0, Math.min(centerY - height / 2, canvasHeight - height)),
+        width,
+        height,
+    };
+};
@@ -0,0 +1,76 @@
+import { canvasToBlob } from './imageCropperUtils.js';
+
+// Shared encoder worker; requests are matched to responses by id
+let worker = null;
+let workerUnavailable = false;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+const supportsWorkerEncoding = () => {
+    return (
+        !workerUnavailable &&
+        typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap !== 'undefined'
+    );
+};
+
+// Rejects everything in flight and stops using the worker, so callers fall back to the main thread
+const disableWorker = (error) => {
+    workerUnavailable = true;
+    worker?.terminate();
+    worker = null;
+    pendingRequests.forEach(({ reject }) => reject(error));
+    pendingRequests.clear();
+};
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('./imageEncoder.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            const request = pendingRequests.get(data.id);
+            if (!request) return;
+            pendingRequests.delete(data.id);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.blob);
+            }
+        };
+        worker.onerror = () => disableWorker(new Error('Image encoder worker failed.'));
+    }
+    return worker;
+};
+
+const encodeInWorker = async (canvas, mimeType, quality) => {
+    const bitmap = await createImageBitmap(canvas);
+    return new Promise((resolve, reject) => {
+        const id = ++nextRequestId;
+        pendingRequests.set(id, { resolve, reject });
+        getWorker().postMessage({ id, bitmap, mimeType, quality }, [bitmap]);
+    });
+};
+
+// Encodes a canvas to a Blob in a Web Worker where OffscreenCanvas is available,
+// falling back to canvas.toBlob on the main thread otherwise
+export const encodeCanvas = async (canvas, mimeType, quality) => {
+    if (supportsWorkerEncoding()) {
+        try {
+            return await encodeInWorker(canvas, mimeType, quality);
+        } catch (error) {
+            // Some browsers can't encode every format off-screen; use the main thread from now on
+            if (!workerUnavailable) disableWorker(error);
+        }
+    }
+    return canvasToBlob(canvas, mimeType, quality);
+};
+
+// Reads a Blob as a base64 data URL without a second synchronous canvas encode
+export const blobToDataUrl = (blob) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+};
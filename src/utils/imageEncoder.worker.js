@@ -0,0 +1,13 @@
+// Encodes ImageBitmaps with OffscreenCanvas so large crops don't block the main thread
+self.onmessage = async ({ data }) => {
+    const { id, bitmap, mimeType, quality } = data;
+    try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        const blob = await canvas.convertToBlob({ type: mimeType, quality });
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,373 @@
+import { canvasToBlob, getDataUrlMimeType, loadImage } from './imageCropperUtils.js';
+
+const SOI_MARKER = 0xffd8;
+const SOS_MARKER = 0xffda;
+const APP0_MARKER = 0xffe0;
+const APP1_MARKER = 0xffe1;
+const APP2_MARKER = 0xffe2;
+// Largest payload a JPEG segment can carry after its 2-byte length field
+const MAX_SEGMENT_PAYLOAD = 65533;
+
+const EXIF_HEADER = 'Exif\0\0';
+const ICC_HEADER = 'ICC_PROFILE\0';
+
+// Bytes per value for the TIFF field types we read and write
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+
+// Tags copied for each preserveMetadata group, by the IFD they live in
+const DATE_TAGS = {
+    ifd0: [0x0132], // DateTime
+    exif: [0x9003, 0x9004, 0x9010, 0x9011, 0x9012], // DateTimeOriginal, DateTimeDigitized, OffsetTime*
+};
+const COPYRIGHT_TAGS = {
+    ifd0: [0x013b, 0x8298], // Artist, Copyright
+};
+
+// Capture date, credits and color profile travel with the crop; location only on request
+export const DEFAULT_METADATA_OPTIONS = {
+    date: true,
+    copyright: true,
+    iccProfile: true,
+    gps: false,
+};
+
+// Normalizes the preserveMetadata prop: false, true or an object picking groups
+export const resolveMetadataOptions = (preserveMetadata) => {
+    if (!preserveMetadata) return null;
+    if (preserveMetadata === true) return DEFAULT_METADATA_OPTIONS;
+    return { ...DEFAULT_METADATA_OPTIONS, ...preserveMetadata };
+};
+
+const matchesHeader = (bytes, offset, header) => {
+    if (offset + header.length > bytes.length) return false;
+    for (let i = 0; i < header.length; i++) {
+        if (bytes[offset + i] !== header.charCodeAt(i)) return false;
+    }
+    return true;
+};
+
+// Reads one IFD into a Map of tag -> { type, values }. ASCII values stay byte-exact as latin1 strings.
+const readIfd = (view, tiffStart, ifdOffset, littleEndian) => {
+    const entries = new Map();
+    const start = tiffStart + ifdOffset;
+    if (ifdOffset <= 0 || start + 2 > view.byteLength) return entries;
+
+    const count = view.getUint16(start, littleEndian);
+    for (let i = 0; i < count; i++) {
+        const entryOffset = start + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entryOffset, littleEndian);
+        const type = view.getUint16(entryOffset + 2, littleEndian);
+        const valueCount = view.getUint32(entryOffset + 4, littleEndian);
+        const typeSize = TYPE_SIZES[type];
+        if (!typeSize) continue;
+
+        const byteLength = typeSize * valueCount;
+        const valueOffset = byteLength > 4
+            ? tiffStart + view.getUint32(entryOffset + 8, littleEndian)
+            : entryOffset + 8;
+        if (valueOffset + byteLength > view.byteLength) continue;
+
+        const values = [];
+        for (let j = 0; j < valueCount; j++) {
+            const position = valueOffset + j * typeSize;
+            if (type === TYPE_SHORT) values.push(view.getUint16(position, littleEndian));
+            else if (type === TYPE_LONG) values.push(view.getUint32(position, littleEndian));
+            else if (type === 9) values.push(view.getInt32(position, littleEndian));
+            else if (type === 5) {
+                values.push([view.getUint32(position, littleEndian), view.getUint32(position + 4, littleEndian)]);
+            } else if (type === 10) {
+                values.push([view.getInt32(position, littleEndian), view.getInt32(position + 4, littleEndian)]);
+            } else values.push(view.getUint8(position));
+        }
+
+        entries.set(tag, {
+            type,
+            values: type === TYPE_ASCII ? String.fromCharCode(...values).replace(/\0+$/, '') : values,
+        });
+    }
+    return entries;
+};
+
+const readExif = (view, start) => {
+    const littleEndian = view.getUint16(start) === 0x4949;
+    if (view.getUint16(start + 2, littleEndian) !== 42) return null;
+
+    const ifd0 = readIfd(view, start, view.getUint32(start + 4, littleEndian), littleEndian);
+    const exif = ifd0.has(TAG_EXIF_IFD)
+        ? readIfd(view, start, ifd0.get(TAG_EXIF_IFD).values[0], littleEndian)
+        : new Map();
+    const gps = ifd0.has(TAG_GPS_IFD)
+        ? readIfd(view, start, ifd0.get(TAG_GPS_IFD).values[0], littleEndian)
+        : new Map();
+    return { ifd0, exif, gps };
+};
+
+// Parses the EXIF tags and ICC profile of a JPEG. Returns null for other formats;
+// malformed metadata yields whatever could be read rather than an error.
+export const readJpegMetadata = (buffer) => {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== SOI_MARKER) return null;
+
+    const metadata = { orientation: 1, exif: null, iccProfile: [] };
+    let offset = 2;
+    try {
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xff00) !== 0xff00 || marker === SOS_MARKER) break;
+
+            const length = view.getUint16(offset + 2);
+            const payloadStart = offset + 4;
+            const payloadEnd = offset + 2 + length;
+            if (length < 2 || payloadEnd > view.byteLength) break;
+
+            if (marker === APP1_MARKER && !metadata.exif && matchesHeader(bytes, payloadStart, EXIF_HEADER)) {
+                metadata.exif = readExif(view, payloadStart + EXIF_HEADER.length);
+                const orientation = metadata.exif?.ifd0.get(TAG_ORIENTATION)?.values[0];
+                if (orientation >= 1 && orientation <= 8) metadata.orientation = orientation;
+            } else if (marker === APP2_MARKER && matchesHeader(bytes, payloadStart, ICC_HEADER)) {
+                // Large profiles span several APP2 segments that already carry their own sequence numbers
+                metadata.iccProfile.push(bytes.slice(payloadStart, payloadEnd));
+            }
+            offset = payloadEnd;
+        }
+    } catch {
+        // Keep what was parsed before the corrupt segment
+    }
+    return metadata;
+};
+
+// Reads the metadata of a JPEG Blob/File, or of a data URL, object URL or remote image that type (or the
+// data URL) says is a JPEG. Other formats carry none we read, so they resolve to null without downloading
+// the image a second time; so does anything unreadable.
+export const readImageMetadata = async (source, type) => {
+    const isBlob = source instanceof Blob;
+    const mimeType = isBlob ? source.type : type || getDataUrlMimeType(source);
+    if (!/^image\/p?jpe?g$/.test(mimeType || '')) return null;
+    try {
+        const buffer = isBlob ? await source.arrayBuffer() : await (await fetch(source)).arrayBuffer();
+        return readJpegMetadata(buffer);
+    } catch {
+        return null;
+    }
+};
+
+const encodeValues = (type, values) => {
+    const source = type === TYPE_ASCII ? Array.from(`${values}\0`, (char) => char.charCodeAt(0) & 0xff) : values;
+    const bytes = new Uint8Array(TYPE_SIZES[type] * source.length);
+    const view = new DataView(bytes.buffer);
+    source.forEach((value, index) => {
+        const position = index * TYPE_SIZES[type];
+        if (type === TYPE_SHORT) view.setUint16(position, value);
+        else if (type === TYPE_LONG) view.setUint32(position, value);
+        else if (type === 9) view.setInt32(position, value);
+        else if (type === 5) {
+            view.setUint32(position, value[0]);
+            view.setUint32(position + 4, value[1]);
+        } else if (type === 10) {
+            view.setInt32(position, value[0]);
+            view.setInt32(position + 4, value[1]);
+        } else view.setUint8(position, value);
+    });
+    return bytes;
+};
+
+// Entry table plus next-IFD pointer, followed by values that don't fit in 4 bytes (word aligned)
+const getIfdSize = (entries) => {
+    let size = 2 + entries.length * 12 + 4;
+    entries.forEach(({ bytes }) => {
+        if (bytes.length > 4) size += bytes.length + (bytes.length % 2);
+    });
+    return size;
+};
+
+const writeIfd = (view, tiffStart, ifdOffset, entries) => {
+    const bytes = new Uint8Array(view.buffer);
+    let dataOffset = ifdOffset + 2 + entries.length * 12 + 4;
+
+    view.setUint16(tiffStart + ifdOffset, entries.length);
+    entries.forEach((entry, index) => {
+        const entryOffset = tiffStart + ifdOffset + 2 + index * 12;
+        view.setUint16(entryOffset, entry.tag);
+        view.setUint16(entryOffset + 2, entry.type);
+        view.setUint32(entryOffset + 4, entry.bytes.length / TYPE_SIZES[entry.type]);
+        if (entry.bytes.length > 4) {
+            view.setUint32(entryOffset + 8, dataOffset);
+            bytes.set(entry.bytes, tiffStart + dataOffset);
+            dataOffset += entry.bytes.length + (entry.bytes.length % 2);
+        } else {
+            bytes.set(entry.bytes, entryOffset + 8);
+        }
+    });
+    view.setUint32(tiffStart + ifdOffset + 2 + entries.length * 12, 0);
+};
+
+const toEntries = (tags) => {
+    return Array.from(tags, ([tag, { type, values }]) => ({ tag, type, bytes: encodeValues(type, values) })).sort(
+        (a, b) => a.tag - b.tag
+    );
+};
+
+// Builds a big-endian EXIF APP1 payload from tag Maps for IFD0, the Exif IFD and the GPS IFD
+const buildExifPayload = ({ ifd0, exif = new Map(), gps = new Map() }) => {
+    const pointerEntry = (tag) => ({ tag, type: TYPE_LONG, bytes: new Uint8Array(4) });
+    const ifd0Entries = toEntries(ifd0);
+    const exifEntries = toEntries(exif);
+    const gpsEntries = toEntries(gps);
+    if (exifEntries.length) ifd0Entries.push(pointerEntry(TAG_EXIF_IFD));
+    if (gpsEntries.length) ifd0Entries.push(pointerEntry(TAG_GPS_IFD));
+    ifd0Entries.sort((a, b) => a.tag - b.tag);
+
+    const ifd0Offset = 8;
+    const exifOffset = ifd0Offset + getIfdSize(ifd0Entries);
+    const gpsOffset = exifOffset + (exifEntries.length ? getIfdSize(exifEntries) : 0);
+    const tiffSize = gpsOffset + (gpsEntries.length ? getIfdSize(gpsEntries) : 0);
+
+    ifd0Entries.forEach((entry) => {
+        if (entry.tag === TAG_EXIF_IFD) entry.bytes = encodeValues(TYPE_LONG, [exifOffset]);
+        if (entry.tag === TAG_GPS_IFD) entry.bytes = encodeValues(TYPE_LONG, [gpsOffset]);
+    });
+
+    const tiffStart = EXIF_HEADER.length;
+    const payload = new Uint8Array(tiffStart + tiffSize);
+    const view = new DataView(payload.buffer);
+    payload.set(Array.from(EXIF_HEADER, (char) => char.charCodeAt(0)));
+    view.setUint16(tiffStart, 0x4d4d); // "MM", big-endian
+    view.setUint16(tiffStart + 2, 42);
+    view.setUint32(tiffStart + 4, ifd0Offset);
+
+    writeIfd(view, tiffStart, ifd0Offset, ifd0Entries);
+    if (exifEntries.length) writeIfd(view, tiffStart, exifOffset, exifEntries);
+    if (gpsEntries.length) writeIfd(view, tiffStart, gpsOffset, gpsEntries);
+    return payload;
+};
+
+const toSegment = (marker, payload) => {
+    const segment = new Uint8Array(payload.length + 4);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, marker);
+    view.setUint16(2, payload.length + 2);
+    segment.set(payload, 4);
+    return segment;
+};
+
+// Inserts segments after SOI and the JFIF header, dropping any EXIF or ICC segments already there
+const insertJpegSegments = async (blob, segments) => {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== SOI_MARKER) return blob;
+
+    const head = [bytes.subarray(0, 2)];
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if (marker < APP0_MARKER || marker > APP2_MARKER) break;
+
+        const end = offset + 2 + view.getUint16(offset + 2);
+        if (marker === APP0_MARKER) head.push(bytes.subarray(offset, end));
+        offset = end;
+    }
+    return new Blob([...head, ...segments, bytes.subarray(offset)], { type: blob.type });
+};
+
+const pickTags = (source, tags = []) => {
+    return new Map(tags.filter((tag) => source.has(tag)).map((tag) => [tag, source.get(tag)]));
+};
+
+// Copies the selected metadata groups from the source into an encoded JPEG. Orientation is written
+// as 1 because the exported pixels are already upright.
+export const writeJpegMetadata = async (blob, metadata, options = DEFAULT_METADATA_OPTIONS) => {
+    if (!metadata || blob.type !== 'image/jpeg') return blob;
+
+    const { ifd0 = new Map(), exif = new Map(), gps = new Map() } = metadata.exif || {};
+    const tags = {
+        ifd0: new Map([[TAG_ORIENTATION, { type: TYPE_SHORT, values: [1] }]]),
+        exif: new Map(),
+        gps: options.gps ? gps : new Map(),
+    };
+    if (options.date) {
+        pickTags(ifd0, DATE_TAGS.ifd0).forEach((value, tag) => tags.ifd0.set(tag, value));
+        pickTags(exif, DATE_TAGS.exif).forEach((value, tag) => tags.exif.set(tag, value));
+    }
+    if (options.copyright) {
+        pickTags(ifd0, COPYRIGHT_TAGS.ifd0).forEach((value, tag) => tags.ifd0.set(tag, value));
+    }
+
+    const segments = [];
+    const exifPayload = buildExifPayload(tags);
+    if (exifPayload.length <= MAX_SEGMENT_PAYLOAD) segments.push(toSegment(APP1_MARKER, exifPayload));
+    if (options.iccProfile) {
+        metadata.iccProfile.forEach((payload) => segments.push(toSegment(APP2_MARKER, payload)));
+    }
+    return insertJpegSegments(blob, segments);
+};
+
+// Draws an image upright on a canvas according to its EXIF orientation (1-8)
+export const orientImage = (image, orientation) => {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const swapsSides = orientation >= 5;
+    const canvas = document.createElement('canvas');
+    canvas.width = swapsSides ? height : width;
+    canvas.height = swapsSides ? width : height;
+
+    const ctx = canvas.getContext('2d');
+    const transforms = {
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width],
+    };
+    if (transforms[orientation]) ctx.transform(...transforms[orientation]);
+    ctx.drawImage(image, 0, 0);
+    return canvas;
+};
+
+let orientationSupport = null;
+
+// Modern browsers rotate JPEGs by their EXIF orientation on decode; older ones show the raw pixels.
+// Probes once with a 2x1 JPEG tagged as rotated 90°, which decodes as 1x2 when orientation is applied.
+export const browserAppliesOrientation = () => {
+    if (!orientationSupport) {
+        orientationSupport = (async () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 2;
+            canvas.height = 1;
+            const jpeg = await canvasToBlob(canvas, 'image/jpeg');
+            const exifPayload = buildExifPayload({
+                ifd0: new Map([[TAG_ORIENTATION, { type: TYPE_SHORT, values: [6] }]]),
+            });
+            const probe = await insertJpegSegments(jpeg, [toSegment(APP1_MARKER, exifPayload)]);
+            const url = URL.createObjectURL(probe);
+            try {
+                return (await loadImage(url)).naturalWidth === 1;
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        })().catch(() => true);
+    }
+    return orientationSupport;
+};
+
+// Returns a source URL whose pixels are upright: the original where the browser applies EXIF orientation
+// itself, or an object URL of a corrected copy that the caller must revoke
+export const getUprightImageSource = async (src, orientation) => {
+    if (orientation <= 1 || (await browserAppliesOrientation())) return { src, objectUrl: null };
+
+    const canvas = orientImage(await loadImage(src), orientation);
+    const objectUrl = URL.createObjectURL(await canvasToBlob(canvas, 'image/png'));
+    return { src: objectUrl, objectUrl };
+};
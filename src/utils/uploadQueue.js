@@ -0,0 +1,186 @@
+// Upload task statuses:
+// queued -> uploading -> done, or -> retrying -> queued after a backoff delay, or -> error when retries run out.
+// cancel() moves a task to canceled; resume() queues a canceled or failed task again.
+export const UPLOAD_STATUS = {
+    QUEUED: 'queued',
+    UPLOADING: 'uploading',
+    RETRYING: 'retrying',
+    DONE: 'done',
+    ERROR: 'error',
+    CANCELED: 'canceled',
+};
+
+// Exponential backoff: baseDelay, 2x, 4x, ... capped at maxDelay
+export const getRetryDelay = (attempt, baseDelay = 1000, maxDelay = 30000) => {
+    return Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+};
+
+// Network errors, timeouts, rate limiting and server errors may succeed later; other 4xx responses won't
+export const isRetryableError = (error) => {
+    const status = error?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Creates a queue that runs uploads through an adapter (see utils/uploaders.js).
+ *
+ * @param {Object} options
+ *     - upload: {function} The adapter, (file, { signal, offset, onProgress, onChunk }) => Promise.
+ *     - concurrency: {number} Uploads running at the same time. Default is 3.
+ *     - retries: {number} Automatic retries per upload after the first attempt. Default is 3.
+ *     - retryDelay: {number} Backoff before the first retry in ms; doubles for each further retry. Default is 1000.
+ *     - onEvent: {function} Called with { type, task } for 'queued', 'start', 'progress', 'retry', 'success',
+ *       'error', 'cancel' and 'remove'. task is a snapshot: { id, file, status, loaded, total, progress,
+ *       attempt, error, response }.
+ *
+ * Returns { add(file) => id, cancel(id), resume(id), remove(id), getTasks(), destroy() }.
+ */
+export const createUploadQueue = ({ upload, concurrency = 3, retries = 3, retryDelay = 1000, onEvent = () => {} }) => {
+    const tasks = new Map();
+    let nextId = 0;
+
+    const snapshot = (task) => ({
+        id: task.id,
+        file: task.file,
+        status: task.status,
+        loaded: task.loaded,
+        total: task.file.size,
+        progress: task.file.size ? task.loaded / task.file.size : task.status === UPLOAD_STATUS.DONE ? 1 : 0,
+        attempt: task.attempt,
+        error: task.error,
+        response: task.response,
+    });
+
+    const emit = (type, task) => onEvent({ type, task: snapshot(task) });
+
+    const runTask = async (task) => {
+        const controller = new AbortController();
+        task.controller = controller;
+        task.status = UPLOAD_STATUS.UPLOADING;
+        task.attempt++;
+        task.error = null;
+        emit('start', task);
+
+        try {
+            const response = await upload(task.file, {
+                signal: controller.signal,
+                offset: task.offset,
+                onProgress: (loaded) => {
+                    if (controller.signal.aborted || loaded === task.loaded) return;
+                    task.loaded = loaded;
+                    emit('progress', task);
+                },
+                onChunk: (offset) => {
+                    task.offset = offset;
+                },
+            });
+            if (controller.signal.aborted) return;
+
+            task.status = UPLOAD_STATUS.DONE;
+            task.loaded = task.file.size;
+            task.response = response;
+            emit('success', task);
+        } catch (error) {
+            // cancel() and remove() have already updated the task
+            if (controller.signal.aborted) return;
+
+            task.error = error;
+            if (task.attempt <= retries && isRetryableError(error)) {
+                task.status = UPLOAD_STATUS.RETRYING;
+                emit('retry', task);
+                task.retryTimer = setTimeout(() => {
+                    task.retryTimer = null;
+                    task.status = UPLOAD_STATUS.QUEUED;
+                    pump();
+                }, getRetryDelay(task.attempt, retryDelay));
+            } else {
+                task.status = UPLOAD_STATUS.ERROR;
+                emit('error', task);
+            }
+        } finally {
+            // A resume before this run settled may have started a new run with its own controller
+            if (task.controller === controller) task.controller = null;
+            pump();
+        }
+    };
+
+    // Starts queued tasks in the order they were added until the concurrency limit is reached
+    const pump = () => {
+        const all = Array.from(tasks.values());
+        let running = all.filter((task) => task.status === UPLOAD_STATUS.UPLOADING).length;
+        for (const task of all) {
+            if (running >= concurrency) break;
+            if (task.status !== UPLOAD_STATUS.QUEUED) continue;
+            running++;
+            runTask(task);
+        }
+    };
+
+    // Stops any request or pending retry without changing the status
+    const stop = (task) => {
+        task.controller?.abort();
+        task.controller = null;
+        clearTimeout(task.retryTimer);
+        task.retryTimer = null;
+    };
+
+    const add = (file) => {
+        const task = {
+            id: ++nextId,
+            file,
+            status: UPLOAD_STATUS.QUEUED,
+            loaded: 0,
+            offset: 0, // Bytes the server has confirmed, where a resumed chunked upload picks up
+            attempt: 0,
+            error: null,
+            response: null,
+            controller: null,
+            retryTimer: null,
+        };
+        tasks.set(task.id, task);
+        emit('queued', task);
+        pump();
+        return task.id;
+    };
+
+    const cancel = (id) => {
+        const task = tasks.get(id);
+        if (!task || ![UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.RETRYING].includes(task.status)) {
+            return;
+        }
+        stop(task);
+        task.status = UPLOAD_STATUS.CANCELED;
+        task.loaded = task.offset;
+        emit('cancel', task);
+        pump();
+    };
+
+    // Queues a canceled or failed task again with a fresh set of retries, keeping confirmed chunks
+    const resume = (id) => {
+        const task = tasks.get(id);
+        if (!task || ![UPLOAD_STATUS.CANCELED, UPLOAD_STATUS.ERROR].includes(task.status)) return;
+        task.status = UPLOAD_STATUS.QUEUED;
+        task.attempt = 0;
+        task.error = null;
+        emit('queued', task);
+        pump();
+    };
+
+    const remove = (id) => {
+        const task = tasks.get(id);
+        if (!task) return;
+        stop(task);
+        tasks.delete(id);
+        emit('remove', task);
+        pump();
+    };
+
+    const getTasks = () => Array.from(tasks.values(), snapshot);
+
+    const destroy = () => {
+        tasks.forEach(stop);
+        tasks.clear();
+    };
+
+    return { add, cancel, resume, remove, getTasks, destroy };
+};
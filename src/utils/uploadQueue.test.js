@@ -0,0 +1,204 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { UPLOAD_STATUS, createUploadQueue, getRetryDelay, isRetryableError } from './uploadQueue.js';
+import { createHttpError } from './uploaders.js';
+
+// Adapter whose uploads stay pending until the test settles them; aborting rejects like a real adapter
+const createFakeAdapter = () => {
+    const calls = [];
+    const upload = vi.fn((file, options) => new Promise((resolve, reject) => {
+        calls.push({ file, options, resolve, reject });
+        options.signal.addEventListener('abort', () => {
+            reject(Object.assign(new Error('Upload canceled.'), { name: 'AbortError' }));
+        });
+    }));
+    return { upload, calls };
+};
+
+const createFile = (name, content = 'hello world') => new File([content], name, { type: 'text/plain' });
+
+// Lets promise callbacks inside the queue run
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const getStatuses = (queue) => queue.getTasks().map((task) => task.status);
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('getRetryDelay', () => {
+    it('doubles from the base delay up to the maximum', () => {
+        expect([1, 2, 3, 4].map((attempt) => getRetryDelay(attempt, 100))).toEqual([100, 200, 400, 800]);
+        expect(getRetryDelay(10, 1000, 5000)).toBe(5000);
+    });
+});
+
+describe('isRetryableError', () => {
+    it('retries network errors, timeouts, rate limits and server errors only', () => {
+        expect(isRetryableError(new Error('Network error during upload.'))).toBe(true);
+        expect([408, 429, 500, 503].every((status) => isRetryableError(createHttpError(status)))).toBe(true);
+        expect([400, 401, 403, 404, 413].some((status) => isRetryableError(createHttpError(status)))).toBe(false);
+    });
+});
+
+describe('createUploadQueue', () => {
+    it('runs at most `concurrency` uploads at a time, in the order they were added', async () => {
+        const { upload, calls } = createFakeAdapter();
+        const queue = createUploadQueue({ upload, concurrency: 2 });
+        ['a', 'b', 'c', 'd'].forEach((name) => queue.add(createFile(name)));
+
+        expect(getStatuses(queue)).toEqual(['uploading', 'uploading', 'queued', 'queued']);
+        expect(calls.map((call) => call.file.name)).toEqual(['a', 'b']);
+
+        calls[1].resolve({ ok: true });
+        await flush();
+        expect(getStatuses(queue)).toEqual(['uploading', 'done', 'uploading', 'queued']);
+        expect(upload).toHaveBeenCalledTimes(3);
+
+        queue.cancel(1);
+        await flush();
+        expect(getStatuses(queue)).toEqual(['canceled', 'done', 'uploading', 'uploading']);
+        queue.destroy();
+    });
+
+    it('reports progress and the response', async () => {
+        const { upload, calls } = createFakeAdapter();
+        const onEvent = vi.fn();
+        const queue = createUploadQueue({ upload, onEvent });
+        queue.add(createFile('a'));
+
+        calls[0].options.onProgress(4);
+        expect(queue.getTasks()[0]).toMatchObject({ loaded: 4, total: 11, progress: 4 / 11 });
+        calls[0].resolve({ url: '/a' });
+        await flush();
+
+        expect(queue.getTasks()[0]).toMatchObject({ status: 'done', progress: 1, response: { url: '/a' } });
+        expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(['queued', 'start', 'progress', 'success']);
+    });
+
+    it('retries retryable errors with backoff', async () => {
+        vi.useFakeTimers();
+        const { upload, calls } = createFakeAdapter();
+        const queue = createUploadQueue({ upload, retries: 2, retryDelay: 100 });
+        queue.add(createFile('a'));
+
+        calls[0].reject(createHttpError(503));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(queue.getTasks()[0]).toMatchObject({ status: 'retrying', attempt: 1 });
+        await vi.advanceTimersByTimeAsync(99);
+        expect(upload).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(upload).toHaveBeenCalledTimes(2);
+
+        // The second retry waits twice as long
+        calls[1].reject(new Error('Network error during upload.'));
+        await vi.advanceTimersByTimeAsync(199);
+        expect(upload).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(upload).toHaveBeenCalledTimes(3);
+
+        // Retries are used up
+        calls[2].reject(createHttpError(500));
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(upload).toHaveBeenCalledTimes(3);
+        expect(queue.getTasks()[0]).toMatchObject({ status: 'error', attempt: 3, error: { status: 500 } });
+    });
+
+    it('fails right away on errors that are not retryable', async () => {
+        vi.useFakeTimers();
+        const { upload, calls } = createFakeAdapter();
+        const queue = createUploadQueue({ upload, retries: 3, retryDelay: 100 });
+        queue.add(createFile('a'));
+
+        calls[0].reject(createHttpError(413));
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(upload).toHaveBeenCalledTimes(1);
+        expect(queue.getTasks()[0]).toMatchObject({ status: 'error', error: { status: 413 } });
+    });
+
+    it('cancels a pending retry', async () => {
+        vi.useFakeTimers();
+        const { upload, calls } = createFakeAdapter();
+        const queue = createUploadQueue({ upload, retryDelay: 100 });
+        queue.add(createFile('a'));
+
+        calls[0].reject(createHttpError(503));
+        await vi.advanceTimersByTimeAsync(0);
+        queue.cancel(1);
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(upload).toHaveBeenCalledTimes(1);
+        expect(getStatuses(queue)).toEqual(['canceled']);
+    });
+
+    it('resumes a canceled upload from the confirmed offset with fresh retries', async () => {
+        const { upload, calls } = createFakeAdapter();
+        const queue = createUploadQueue({ upload });
+        queue.add(createFile('a'));
+
+        calls[0].options.onChunk(5);
+        calls[0].options.onProgress(8);
+        queue.cancel(1);
+        await flush();
+        expect(calls[0].options.signal.aborted).toBe(true);
+        // Unconfirmed bytes are dropped from the progress
+        expect(queue.getTasks()[0]).toMatchObject({ status: 'canceled', loaded: 5 });
+
+        queue.resume(1);
+        expect(upload).toHaveBeenCalledTimes(2);
+        expect(calls[1].options.offset).toBe(5);
+        expect(queue.getTasks()[0]).toMatchObject({ status: 'uploading', attempt: 1 });
+
+        calls[1].resolve({ ok: true });
+        await flush();
+        expect(getStatuses(queue)).toEqual(['done']);
+    });
+
+    it('cancels a resumed upload while the first attempt is still settling', async () => {
+        const { upload, calls } = createFakeAdapter();
+        const onEvent = vi.fn();
+        const queue = createUploadQueue({ upload, onEvent });
+        queue.add(createFile('a'));
+
+        // Resume before the aborted first attempt has rejected
+        queue.cancel(1);
+        queue.resume(1);
+        expect(upload).toHaveBeenCalledTimes(2);
+        await flush();
+
+        queue.cancel(1);
+        expect(calls[1].options.signal.aborted).toBe(true);
+        calls[1].resolve({ ok: true });
+        await flush();
+        expect(getStatuses(queue)).toEqual(['canceled']);
+        expect(onEvent.mock.calls.some(([event]) => event.type === 'success')).toBe(false);
+    });
+
+    it('resumes a failed upload', async () => {
+        const { upload, calls } = createFakeAdapter();
+        const queue = createUploadQueue({ upload, retries: 0 });
+        queue.add(createFile('a'));
+
+        calls[0].options.onChunk(3);
+        calls[0].reject(createHttpError(500));
+        await flush();
+        expect(getStatuses(queue)).toEqual(['error']);
+
+        queue.resume(1);
+        expect(calls[1].options.offset).toBe(3);
+    });
+
+    it('removes tasks and aborts their upload', async () => {
+        const { upload, calls } = createFakeAdapter();
+        const onEvent = vi.fn();
+        const queue = createUploadQueue({ upload, concurrency: 1, onEvent });
+        queue.add(createFile('a'));
+        queue.add(createFile('b'));
+
+        queue.remove(1);
+        await flush();
+        expect(calls[0].options.signal.aborted).toBe(true);
+        expect(queue.getTasks().map((task) => task.file.name)).toEqual(['b']);
+        expect(queue.getTasks()[0].status).toBe(UPLOAD_STATUS.UPLOADING);
+        expect(onEvent.mock.calls.some(([event]) => event.type === 'error')).toBe(false);
+    });
+});
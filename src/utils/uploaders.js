@@ -0,0 +1,164 @@
+// Upload adapters for FileUpload's `uploader` prop. An adapter is a function
+// (file, { signal, offset, onProgress, onChunk }) => Promise<response> that:
+// - stops and rejects when signal aborts,
+// - starts from byte `offset` when resuming a chunked upload,
+// - reports bytes sent so far (including offset) through onProgress(loaded),
+// - reports bytes the server has confirmed through onChunk(offset), so a later resume can skip them,
+// - rejects with an Error carrying the HTTP `status` when the server refuses the upload.
+
+// Error for a non-2xx response; status lets the queue tell retryable failures from permanent ones
+export const createHttpError = (status, body) => {
+    return Object.assign(new Error(`Upload failed with status ${status}.`), { status, body });
+};
+
+const parseBody = (text, contentType = '') => {
+    if (!contentType.includes('application/json')) return text;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+const abortError = () => {
+    return Object.assign(new Error('Upload canceled.'), { name: 'AbortError' });
+};
+
+// Sends one request with XMLHttpRequest, which reports upload progress as the body goes out
+const sendWithXhr = ({ url, method, headers, body, withCredentials, signal, onProgress }) => {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.withCredentials = withCredentials;
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        const handleAbort = () => xhr.abort();
+        signal?.addEventListener('abort', handleAbort);
+        const cleanUp = () => signal?.removeEventListener('abort', handleAbort);
+
+        xhr.upload.onprogress = (event) => onProgress?.(event.loaded);
+        xhr.onload = () => {
+            cleanUp();
+            const responseBody = parseBody(xhr.responseText, xhr.getResponseHeader('Content-Type') || '');
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(responseBody);
+            } else {
+                reject(createHttpError(xhr.status, responseBody));
+            }
+        };
+        xhr.onerror = () => {
+            cleanUp();
+            reject(new Error('Network error during upload.'));
+        };
+        xhr.onabort = () => {
+            cleanUp();
+            reject(abortError());
+        };
+        xhr.send(body);
+    });
+};
+
+// Sends one request with fetch; progress is only known once the whole body has been sent
+const sendWithFetch = async ({ url, method, headers, body, withCredentials, signal, onProgress }) => {
+    const response = await fetch(url, {
+        method,
+        headers,
+        body,
+        signal,
+        credentials: withCredentials ? 'include' : 'same-origin',
+    });
+    const responseBody = parseBody(await response.text(), response.headers.get('Content-Type') || '');
+    if (!response.ok) throw createHttpError(response.status, responseBody);
+    onProgress?.(body.size ?? 0);
+    return responseBody;
+};
+
+// Identifies a file's chunks across retries and resumes, so the server can append to the same upload
+const uploadIds = new WeakMap();
+const getUploadId = (file) => {
+    if (!uploadIds.has(file)) {
+        const id = globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+        uploadIds.set(file, id);
+    }
+    return uploadIds.get(file);
+};
+
+/**
+ * Creates an adapter that uploads to a URL.
+ *
+ * Small files go as one multipart/form-data request with the file under `fieldName` plus `fields`.
+ * Files larger than `chunkSize` bytes are sent as raw consecutive chunks to the same URL, each with
+ * Content-Range: bytes <start>-<end>/<size>, X-Upload-Id (stable per file) and X-File-Name headers.
+ * The response of the last chunk is the upload's result.
+ *
+ * @param {Object} options
+ *     - url: {string} Endpoint to upload to.
+ *     - method: {string} HTTP method. Default is 'POST'.
+ *     - fieldName: {string} Form field holding the file. Default is 'file'.
+ *     - fields: {Object} Extra form fields for non-chunked uploads.
+ *     - headers: {Object} Extra request headers.
+ *     - withCredentials: {boolean} Send cookies cross-origin. Default is false.
+ *     - chunkSize: {number} Chunk size in bytes, or null to always send whole files. Default is null.
+ *     - transport: {string} 'xhr' (default, reports progress while sending) or 'fetch'.
+ */
+export const createHttpUploader = ({
+    url,
+    method = 'POST',
+    fieldName = 'file',
+    fields = {},
+    headers = {},
+    withCredentials = false,
+    chunkSize = null,
+    transport = 'xhr',
+}) => {
+    const send = transport === 'fetch' ? sendWithFetch : sendWithXhr;
+
+    return async (file, { signal, offset = 0, onProgress, onChunk } = {}) => {
+        if (!chunkSize || file.size <= chunkSize) {
+            const body = new FormData();
+            Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+            body.append(fieldName, file, file.name);
+            // Multipart framing makes the request slightly larger than the file
+            const reportProgress = (loaded) => onProgress?.(Math.min(loaded, file.size));
+            return send({ url, method, headers, body, withCredentials, signal, onProgress: reportProgress });
+        }
+
+        const uploadId = getUploadId(file);
+        let start = offset;
+        let response;
+        while (start < file.size) {
+            const end = Math.min(start + chunkSize, file.size);
+            const chunkStart = start;
+            response = await send({
+                url,
+                method,
+                headers: {
+                    ...headers,
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
+                    'X-Upload-Id': uploadId,
+                    'X-File-Name': encodeURIComponent(file.name),
+                },
+                body: file.slice(start, end),
+                withCredentials,
+                signal,
+                onProgress: (loaded) => onProgress?.(chunkStart + loaded),
+            });
+            start = end;
+            onChunk?.(start);
+            onProgress?.(start);
+        }
+        return response;
+    };
+};
+
+// Resolves the `uploader` prop: an adapter function as is, or options for createHttpUploader
+export const resolveUploader = (uploader) => {
+    if (!uploader) return null;
+    return typeof uploader === 'function' ? uploader : createHttpUploader(uploader);
+};
@@ -0,0 +1,166 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+
+import { createHttpUploader, resolveUploader } from './uploaders.js';
+import { createUploadQueue } from './uploadQueue.js';
+
+// Local server that records each request and answers through `respond`, which tests may replace
+let server;
+let url;
+let requests;
+let respond;
+
+const defaultRespond = (request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ ok: true, bytes: request.body.length }));
+};
+
+beforeAll(async () => {
+    server = createServer((request, response) => {
+        const chunks = [];
+        request.on('data', (chunk) => chunks.push(chunk));
+        request.on('end', () => {
+            const recorded = { method: request.method, headers: request.headers, body: Buffer.concat(chunks) };
+            requests.push(recorded);
+            respond(recorded, response);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/upload`;
+});
+
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    respond = defaultRespond;
+});
+
+// Node has no XMLHttpRequest, so the tests go through the fetch transport
+const createUploader = (options = {}) => createHttpUploader({ url, transport: 'fetch', ...options });
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxy';
+
+describe('createHttpUploader', () => {
+    it('sends small files as one multipart request', async () => {
+        const upload = createUploader({ fields: { album: 'holiday' }, headers: { Authorization: 'Bearer token' } });
+        const response = await upload(new File(['hello world'], 'photo.txt', { type: 'text/plain' }));
+
+        expect(requests).toHaveLength(1);
+        const [{ method, headers, body }] = requests;
+        const text = body.toString();
+        expect(method).toBe('POST');
+        expect(headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+        expect(headers.authorization).toBe('Bearer token');
+        expect(text).toContain('name="album"');
+        expect(text).toContain('holiday');
+        expect(text).toContain('name="file"; filename="photo.txt"');
+        expect(text).toContain('hello world');
+        expect(response).toEqual({ ok: true, bytes: body.length });
+    });
+
+    it('sends large files as chunks with Content-Range and a stable upload id', async () => {
+        const upload = createUploader({ chunkSize: 10, method: 'PUT' });
+        const file = new File([ALPHABET], 'letters ä.txt');
+        const confirmed = [];
+        const response = await upload(file, { onChunk: (offset) => confirmed.push(offset) });
+
+        expect(requests.map((request) => request.headers['content-range'])).toEqual([
+            'bytes 0-9/25',
+            'bytes 10-19/25',
+            'bytes 20-24/25',
+        ]);
+        expect(requests.map((request) => request.body.toString())).toEqual(['abcdefghij', 'klmnopqrst', 'uvwxy']);
+        expect(requests.every((request) => request.method === 'PUT')).toBe(true);
+        expect(requests.every((request) => request.headers['content-type'] === 'application/octet-stream')).toBe(true);
+        expect(new Set(requests.map((request) => request.headers['x-upload-id'])).size).toBe(1);
+        expect(decodeURIComponent(requests[0].headers['x-file-name'])).toBe('letters ä.txt');
+        expect(confirmed).toEqual([10, 20, 25]);
+        expect(response).toEqual({ ok: true, bytes: 5 });
+    });
+
+    it('resumes a chunked upload from offset under the same upload id', async () => {
+        const upload = createUploader({ chunkSize: 10 });
+        const file = new File([ALPHABET], 'letters.txt');
+        await upload(file);
+        const uploadId = requests[0].headers['x-upload-id'];
+        requests = [];
+
+        await upload(file, { offset: 20 });
+        expect(requests).toHaveLength(1);
+        expect(requests[0].headers['content-range']).toBe('bytes 20-24/25');
+        expect(requests[0].headers['x-upload-id']).toBe(uploadId);
+        expect(requests[0].body.toString()).toBe('uvwxy');
+
+        // Another file gets its own id
+        await upload(new File([ALPHABET], 'letters.txt'));
+        expect(requests[1].headers['x-upload-id']).not.toBe(uploadId);
+    });
+
+    it('rejects with the status and body of a failed response', async () => {
+        respond = (request, response) => {
+            response.writeHead(413, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ message: 'Too large' }));
+        };
+        const upload = createUploader();
+        await expect(upload(new File(['x'], 'x.txt'))).rejects.toMatchObject({
+            status: 413,
+            body: { message: 'Too large' },
+        });
+    });
+
+    it('stops when the signal aborts', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(createUploader()(new File(['x'], 'x.txt'), { signal: controller.signal })).rejects.toMatchObject({
+            name: 'AbortError',
+        });
+        expect(requests).toHaveLength(0);
+    });
+});
+
+describe('resolveUploader', () => {
+    it('passes adapters through and builds one from options', () => {
+        const adapter = async () => ({});
+        expect(resolveUploader(adapter)).toBe(adapter);
+        expect(resolveUploader({ url })).toBeTypeOf('function');
+        expect(resolveUploader(null)).toBeNull();
+    });
+});
+
+describe('queue with the HTTP uploader', () => {
+    it('retries a failed chunk and continues after the confirmed ones', async () => {
+        // The second chunk fails once with a server error
+        let failures = 0;
+        respond = (request, response) => {
+            if (request.headers['content-range'] === 'bytes 10-19/25' && failures++ === 0) {
+                response.writeHead(503);
+                response.end();
+                return;
+            }
+            defaultRespond(request, response);
+        };
+
+        const result = await new Promise((resolve) => {
+            const queue = createUploadQueue({
+                upload: createUploader({ chunkSize: 10 }),
+                retryDelay: 5,
+                onEvent: ({ type, task }) => {
+                    if (type === 'success' || type === 'error') resolve(task);
+                },
+            });
+            queue.add(new File([ALPHABET], 'letters.txt'));
+        });
+
+        expect(result).toMatchObject({ status: 'done', attempt: 2, progress: 1 });
+        expect(requests.map((request) => request.headers['content-range'])).toEqual([
+            'bytes 0-9/25',
+            'bytes 10-19/25',
+            'bytes 10-19/25',
+            'bytes 20-24/25',
+        ]);
+    });
+});